@@ -1,5 +1,8 @@
+const crypto = require("crypto");
+const { once } = require("events");
 const express = require("express");
 const mongoose = require("mongoose");
+const nodemailer = require("nodemailer");
 const cors = require("cors");
 const NodeCache = require("node-cache");
 const rateLimit = require("express-rate-limit");
@@ -7,6 +10,68 @@ require("dotenv").config();
 
 const app = express();
 
+// Houses without an explicit houseId (single-house firmware) map here
+const DEFAULT_HOUSE_ID = process.env.DEFAULT_HOUSE_ID || "house-1";
+
+// Readings from unregistered houses/devices are rejected when true,
+// otherwise they are stored with a registryStatus flag
+const REJECT_UNKNOWN_SOURCES = process.env.REJECT_UNKNOWN_SOURCES === "true";
+
+// Device keys are mandatory on ingest/polling unless explicitly relaxed
+// (DEVICE_KEYS_REQUIRED=false) while older firmware is being reflashed.
+// A key that is sent but invalid or revoked is always rejected.
+const DEVICE_KEYS_REQUIRED = process.env.DEVICE_KEYS_REQUIRED !== "false";
+
+// Operator sessions (bearer tokens) expire after this many hours
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+
+// How long streamed events stay replayable for reconnecting SSE clients
+const STREAM_REPLAY_MINUTES = Number(process.env.STREAM_REPLAY_MINUTES) || 60;
+
+// Alert incidents auto-resolve once readings stay normal this long, and a
+// condition that recurs within the cooldown reopens its last incident
+const ALERT_RESOLVE_AFTER_MINUTES =
+  Number(process.env.ALERT_RESOLVE_AFTER_MINUTES) || 10;
+const ALERT_REOPEN_COOLDOWN_MINUTES =
+  Number(process.env.ALERT_REOPEN_COOLDOWN_MINUTES) || 15;
+
+// Notification delivery: attempts before a delivery is marked failed
+const NOTIFY_MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+
+// A device reporting a state other than the commanded one for this long
+// raises a drift alert
+const SHADOW_DRIFT_SECONDS = Number(process.env.SHADOW_DRIFT_SECONDS) || 120;
+
+// Statistical anomaly detector: EWMA span in samples, samples needed before
+// it judges anything, and the deviation (in standard deviations) that flags
+const ANOMALY_EWMA_SAMPLES = Number(process.env.ANOMALY_EWMA_SAMPLES) || 120;
+const ANOMALY_WARMUP_SAMPLES = Number(process.env.ANOMALY_WARMUP_SAMPLES) || 30;
+const ANOMALY_Z_THRESHOLD = Number(process.env.ANOMALY_Z_THRESHOLD) || 4;
+
+// Consecutive bad samples from one sensor field before it counts as faulty
+const SENSOR_FAULT_SAMPLES = Number(process.env.SENSOR_FAULT_SAMPLES) || 5;
+
+// Batch ingest (readings buffered on the MCU during an outage): how old a
+// buffered reading may be, and the age past which its alerts are recorded
+// but not notified
+const INGEST_MAX_AGE_HOURS = Number(process.env.INGEST_MAX_AGE_HOURS) || 72;
+const STALE_READING_MINUTES = Number(process.env.STALE_READING_MINUTES) || 10;
+
+// Devices silent for longer than this are flagged offline (a device may
+// override it with offlineAfterSeconds)
+const DEVICE_OFFLINE_SECONDS =
+  Number(process.env.DEVICE_OFFLINE_SECONDS) || 300;
+
+// Short-horizon forecaster: Holt smoothing weights for level and trend,
+// the history it learns from, and how far ahead a forecast critical
+// crossing raises a predictive warning
+const FORECAST_ALPHA = Number(process.env.FORECAST_ALPHA) || 0.5;
+const FORECAST_BETA = Number(process.env.FORECAST_BETA) || 0.1;
+const FORECAST_HISTORY_MINUTES =
+  Number(process.env.FORECAST_HISTORY_MINUTES) || 180;
+const FORECAST_ALERT_HORIZON_MINUTES =
+  Number(process.env.FORECAST_ALERT_HORIZON_MINUTES) || 60;
+
 // ===== CACHING SETUP =====
 const cache = new NodeCache({
   stdTTL: 5,
@@ -18,11 +83,13 @@ const cache = new NodeCache({
 app.use(
   cors({
     origin: process.env.FRONTEND_URL || "*",
-    methods: ["GET", "POST"],
+    methods: ["GET", "POST", "PUT", "DELETE"],
     credentials: true,
   })
 );
 
+// Buffered batches replayed by the fan MCU outgrow the per-reading limit
+app.use("/api/sensors/batch", express.json({ limit: "256kb" }));
 app.use(express.json({ limit: "10kb" }));
 
 // ===== REQUEST RATE LIMITING =====
@@ -44,6 +111,9 @@ mongoose
   .then(() => {
     console.log("✅ MongoDB Connected with connection pooling");
     createIndexes();
+    ensureDefaultHouse();
+    ensureBootstrapAdmin();
+    loadScheduledJobs();
   })
   .catch((err) => {
     console.error("❌ MongoDB Error:", err);
@@ -52,30 +122,174 @@ mongoose
 
 // ===== MONGODB SCHEMAS =====
 
+// Data quality: each checked field is ok, out-of-range (outside what the
+// sensor can report), spike (moved more than maxStep from the last good
+// sample) or stuck (same value for stuckMinutes; a gas sensor resting at its
+// floor is not stuck). Only out-of-range and spike values are kept out of
+// threshold rules: a stuck reading may still be a real, steady value.
+const QUALITY_FLAGS = ["ok", "out-of-range", "spike", "stuck"];
+const UNUSABLE_QUALITY_FLAGS = ["out-of-range", "spike"];
+const QUALITY_RULES = {
+  temperature: { min: 1, max: 60, maxStep: 5, stuckMinutes: 60 },
+  humidity: { min: 1, max: 100, maxStep: 20, stuckMinutes: 60 },
+  ammonia: { min: 0, max: 300, maxStep: 50, stuckMinutes: 120 },
+  methane: { min: 0, max: 500, maxStep: 50, stuckMinutes: 120 },
+  light: { min: 0, max: 100000, maxStep: null, stuckMinutes: null },
+};
+
 // Sensor Data Schema (historical storage)
 const sensorSchema = new mongoose.Schema({
-  houseId: { type: String, default: "house-1", index: true },
+  houseId: { type: String, default: DEFAULT_HOUSE_ID, index: true },
+  deviceId: { type: String, default: null },
+  // Legacy: light MCU that patched light/washer status onto this reading
+  // before those moved to their own LightReading stream
+  statusDeviceId: { type: String, default: null },
+  registryStatus: {
+    type: String,
+    enum: ["ok", "unknown_house", "unknown_device"],
+    default: "ok",
+  },
   temperature: { type: Number, required: true },
   humidity: { type: Number, required: true },
   ammonia: { type: Number, required: true },
   methane: { type: Number, required: true },
-  light: { type: Number, default: 0 },
+  // Only set when the fan MCU itself carries them; the light MCU reports
+  // these on its own stream (LightReading)
+  light: { type: Number },
   fanIntakeRpm: { type: Number, default: 0 },
   fanExhaustRpm: { type: Number, default: 0 },
   fanIntakeDuty: { type: Number, default: 0 },
   fanExhaustDuty: { type: Number, default: 0 },
-  lightStatus: { type: String, default: "OFF" },
-  pressureWasherStatus: { type: String, default: "OFF" },
+  lightStatus: { type: String },
+  pressureWasherStatus: { type: String },
   mode: { type: String, default: "AUTO" },
+  // Device-side sequence number (batch ingest); createdAt is then the
+  // device timestamp and receivedAt when the server got it
+  seq: { type: Number },
+  // Per-field data-quality flags; readings from before the checks have none
+  quality: Object.fromEntries(
+    Object.keys(QUALITY_RULES).map((field) => [
+      field,
+      { type: String, enum: QUALITY_FLAGS },
+    ])
+  ),
+  qualityOk: { type: Boolean },
+  // Since when each stuck-checked field has held its current value
+  unchangedSince: Object.fromEntries(
+    Object.keys(QUALITY_RULES)
+      .filter((field) => QUALITY_RULES[field].stuckMinutes)
+      .map((field) => [field, { type: Date }])
+  ),
+  // Derived at ingest (null when an input was flagged bad): heat-stress
+  // index, dew point (°C) and combined ammonia + methane load
+  thi: { type: Number },
+  dewPoint: { type: Number },
+  gasLoad: { type: Number },
   createdAt: { type: Date, default: Date.now, index: true },
+  receivedAt: { type: Date, default: Date.now },
 });
 
 sensorSchema.index({ houseId: 1, createdAt: -1 });
+// Retried uploads of the same buffered reading are ignored. seq restarts
+// when the MCU reboots, the timestamp keeps those readings apart.
+sensorSchema.index(
+  { houseId: 1, deviceId: 1, seq: 1, createdAt: 1 },
+  { unique: true, partialFilterExpression: { seq: { $exists: true } } }
+);
 
 const SensorData = mongoose.model("SensorData", sensorSchema);
 
-// Control schema (two-way)
+// Light MCU telemetry (lux plus light and washer relay status), one
+// document per report
+const lightReadingSchema = new mongoose.Schema({
+  houseId: { type: String, required: true },
+  deviceId: { type: String, default: null },
+  registryStatus: {
+    type: String,
+    enum: ["ok", "unknown_house", "unknown_device"],
+    default: "ok",
+  },
+  light: { type: Number, default: null },
+  lightStatus: { type: String, enum: ["ON", "OFF", null], default: null },
+  pressureWasherStatus: {
+    type: String,
+    enum: ["ON", "OFF", null],
+    default: null,
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+lightReadingSchema.index({ houseId: 1, createdAt: -1 });
+
+const LightReading = mongoose.model("LightReading", lightReadingSchema);
+
+// Rolling per-house, per-metric baseline for the anomaly detector: EWMA
+// mean/variance plus recent points (one a minute) for trend checks
+const metricBaselineSchema = new mongoose.Schema(
+  {
+    houseId: { type: String, required: true },
+    metric: { type: String, required: true },
+    mean: { type: Number, default: null },
+    variance: { type: Number, default: 0 },
+    samples: { type: Number, default: 0 },
+    lastAt: { type: Date, default: null },
+    recent: [
+      {
+        _id: false,
+        at: { type: Date, required: true },
+        value: { type: Number, required: true },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+metricBaselineSchema.index({ houseId: 1, metric: 1 }, { unique: true });
+
+const MetricBaseline = mongoose.model("MetricBaseline", metricBaselineSchema);
+
+// Fan health: expected RPM per 10% duty band, learned from the first
+// FAN_BASELINE_SAMPLES readings in each band and then held, plus daily
+// averages of actual/expected RPM to follow wear over time
+const fanBaselineSchema = new mongoose.Schema(
+  {
+    houseId: { type: String, required: true },
+    fan: {
+      type: String,
+      enum: ["fan_positive", "fan_negative"],
+      required: true,
+    },
+    bands: [
+      {
+        _id: false,
+        duty: { type: Number, required: true },
+        expectedRpm: { type: Number, default: 0 },
+        samples: { type: Number, default: 0 },
+      },
+    ],
+    daily: [
+      {
+        _id: false,
+        day: { type: String, required: true },
+        ratioSum: { type: Number, default: 0 },
+        samples: { type: Number, default: 0 },
+      },
+    ],
+    baselineSince: { type: Date, default: Date.now },
+    lastEvaluatedAt: { type: Date, default: null },
+    // Bumped on every write; readings only save over the revision they read
+    revision: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+fanBaselineSchema.index({ houseId: 1, fan: 1 }, { unique: true });
+
+const FanBaseline = mongoose.model("FanBaseline", fanBaselineSchema);
+
+// Control schema (two-way, one document per house)
 const controlSchema = new mongoose.Schema({
+  houseId: { type: String, default: DEFAULT_HOUSE_ID, unique: true },
   light: {
     mode: {
       type: String,
@@ -87,6 +301,8 @@ const controlSchema = new mongoose.Schema({
       default: "OFF",
       enum: ["ON", "OFF"],
     },
+    changedAt: { type: Date, default: null },
+    autoReason: { type: String, default: "" },
   },
   fan_positive: {
     mode: {
@@ -99,6 +315,9 @@ const controlSchema = new mongoose.Schema({
       default: "OFF",
       enum: ["ON", "OFF"],
     },
+    duty: { type: Number, default: 0, min: 0, max: 100 },
+    changedAt: { type: Date, default: null },
+    autoReason: { type: String, default: "" },
   },
   fan_negative: {
     mode: {
@@ -111,6 +330,9 @@ const controlSchema = new mongoose.Schema({
       default: "OFF",
       enum: ["ON", "OFF"],
     },
+    duty: { type: Number, default: 0, min: 0, max: 100 },
+    changedAt: { type: Date, default: null },
+    autoReason: { type: String, default: "" },
   },
   pressure_washer: {
     mode: {
@@ -130,18 +352,49 @@ const controlSchema = new mongoose.Schema({
   fanIntake: { type: String, default: "OFF" },
   fanExhaust: { type: String, default: "OFF" },
   mode: { type: String, default: "AUTO" },
+  // Bumped on every desired-state change; MCUs echo it back as
+  // controlVersion once they have applied it
+  version: { type: Number, default: 0 },
   updatedAt: { type: Date, default: Date.now },
 });
 
 const ControlState = mongoose.model("ControlState", controlSchema);
 
+// AUTO control engine settings per house. Fans switch ON when any metric
+// reaches its *On limit and OFF only once every metric is back under its
+// *Off limit (hysteresis); min on/off times stop relay chatter.
+const DEFAULT_AUTO_CONTROL = {
+  fan: {
+    tempOn: 32,
+    tempOff: 30,
+    humidityOn: 80,
+    humidityOff: 75,
+    ammoniaOn: 15,
+    ammoniaOff: 10,
+    methaneOn: 6,
+    methaneOff: 4,
+    dutyTempLow: 30,
+    dutyTempHigh: 36,
+    minDuty: 30,
+    maxDuty: 100,
+    minOnSeconds: 120,
+    minOffSeconds: 60,
+  },
+  light: {
+    luxOn: 50,
+    luxOff: 150,
+    minOnSeconds: 300,
+    minOffSeconds: 300,
+  },
+};
+
 // Alert Schema (for early warning / ML-derived anomalies)
 const alertSchema = new mongoose.Schema(
   {
-    houseId: { type: String, default: "house-1", index: true },
+    houseId: { type: String, default: DEFAULT_HOUSE_ID, index: true },
     type: {
       type: String,
-      enum: ["info", "warning", "critical"],
+      enum: ["info", "warning", "critical", "fault"],
       required: true,
     },
     category: {
@@ -159,564 +412,7402 @@ const alertSchema = new mongoose.Schema(
       type: String,
       default: "ml-derived-rules",
     },
+    // Incident lifecycle: one open incident per house + condition; repeat
+    // breaches bump lastSeenAt/occurrences instead of inserting new alerts
+    condition: { type: String, default: null },
+    state: {
+      type: String,
+      enum: ["open", "acknowledged", "resolved"],
+      default: "open",
+    },
+    isOpen: { type: Boolean, default: true },
+    firstSeenAt: { type: Date, default: Date.now },
+    lastSeenAt: { type: Date, default: Date.now },
+    occurrences: { type: Number, default: 1 },
+    reopenCount: { type: Number, default: 0 },
+    acknowledgedAt: { type: Date, default: null },
+    acknowledgedBy: { type: String, default: null },
+    ackNote: { type: String, default: "" },
+    resolvedAt: { type: Date, default: null },
+    resolvedBy: { type: String, default: null },
+    resolveNote: { type: String, default: "" },
+    // Detector score: z-score or trend size (anomaly detector), health %
+    // of baseline RPM (fan health)
+    score: { type: Number, default: null },
+    // Highest recipient level notified so far, for escalation
+    notifyLevel: { type: Number, default: 0 },
+    lastNotifiedAt: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
-const Alert = mongoose.model("Alert", alertSchema);
+alertSchema.index({ houseId: 1, state: 1, createdAt: -1 });
+alertSchema.index(
+  { houseId: 1, condition: 1 },
+  { unique: true, partialFilterExpression: { isOpen: true } }
+);
 
-// ===== CREATE INDEXES FUNCTION =====
-async function createIndexes() {
-  try {
-    await SensorData.collection.createIndex({ houseId: 1, createdAt: -1 });
-    await SensorData.collection.createIndex({ createdAt: -1 });
-    console.log("✅ MongoDB indexes created successfully");
-  } catch (err) {
-    console.error("⚠️ Index creation warning:", err.message);
-  }
-}
+const Alert = mongoose.model("Alert", alertSchema);
 
-// ===== HELPER: Get or Create Control State (write version) =====
-async function getControlState() {
-  let control = await ControlState.findOne();
+// Notification policy per house: who hears about which alerts, when to
+// escalate unacknowledged incidents, and quiet hours
+const recipientSchema = new mongoose.Schema(
+  {
+    name: { type: String, default: "" },
+    channel: {
+      type: String,
+      enum: ["webhook", "email", "sms"],
+      required: true,
+    },
+    // URL for webhook, address for email, phone number for SMS
+    target: { type: String, required: true },
+    // Optional HMAC secret for signing webhook payloads
+    secret: { type: String, default: null },
+    minType: {
+      type: String,
+      enum: ["warning", "critical", "fault"],
+      default: "critical",
+    },
+    // 0 = first responders; higher levels hear about it only on escalation
+    level: { type: Number, default: 0, min: 0 },
+    active: { type: Boolean, default: true },
+  },
+  { _id: false }
+);
 
-  if (!control) {
-    control = await ControlState.create({
-      light: { mode: "AUTO", state: "OFF" },
-      fan_positive: { mode: "AUTO", state: "OFF" },
-      fan_negative: { mode: "AUTO", state: "OFF" },
-      pressure_washer: {
-        mode: "FORCE_OFF",
-        state: "OFF",
-        timerDuration: 0,
-        timerStartedAt: null,
-        timerExpiresAt: null,
-      },
-      fanIntake: "OFF",
-      fanExhaust: "OFF",
-      mode: "AUTO",
-    });
-  } else if (typeof control.light === "string") {
-    console.log("🔧 Found legacy control doc, resetting it...");
-    await ControlState.deleteMany({});
-    control = await ControlState.create({
-      light: { mode: "AUTO", state: "OFF" },
-      fan_positive: { mode: "AUTO", state: "OFF" },
-      fan_negative: { mode: "AUTO", state: "OFF" },
-      pressure_washer: {
-        mode: "FORCE_OFF",
-        state: "OFF",
-        timerDuration: 0,
-        timerStartedAt: null,
-        timerExpiresAt: null,
+const notificationPolicySchema = new mongoose.Schema(
+  {
+    houseId: { type: String, required: true, unique: true },
+    recipients: [recipientSchema],
+    escalateAfterMinutes: { type: Number, default: 15, min: 1 },
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: "22:00", match: /^\d{2}:\d{2}$/ },
+      end: { type: String, default: "06:00", match: /^\d{2}:\d{2}$/ },
+      // Alerts at or above this type still go out during quiet hours
+      minType: {
+        type: String,
+        enum: ["warning", "critical", "fault"],
+        default: "critical",
       },
-      fanIntake: "OFF",
-      fanExhaust: "OFF",
-      mode: "AUTO",
-    });
-    console.log("🔧 Control state reset to new schema");
-  }
-
-  cache.set("control_state", control);
-  return control;
-}
-
-// Read-only version for ESP32 polling (lean + cache)
-async function getControlStateForRead() {
-  const cacheKey = "control_state_read";
-  const cached = cache.get(cacheKey);
-  if (cached) return cached;
-
-  const control = await ControlState.findOne().lean();
-  if (control) cache.set(cacheKey, control);
-  return control;
-}
+    },
+  },
+  { timestamps: true }
+);
 
-// ===== ANOMALY RULES (UPDATED: ML-derived thresholds + fan rules) =====
-function generateAlertsFromReading(reading) {
-  const alerts = [];
+const NotificationPolicy = mongoose.model(
+  "NotificationPolicy",
+  notificationPolicySchema
+);
 
-  const {
-    houseId,
-    temperature,
-    humidity,
-    ammonia,
-    methane,
-    fanIntakeRpm,
-    fanExhaustRpm,
-    fanIntakeDuty,
-    fanExhaustDuty,
-    mode,
-    createdAt,
-  } = reading;
+// Delivery log: one document per alert x recipient x escalation level
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    houseId: { type: String, required: true, index: true },
+    alertId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    channel: { type: String, required: true },
+    target: { type: String, required: true },
+    level: { type: Number, default: 0 },
+    subject: { type: String, required: true },
+    text: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: null },
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed", "deferred", "skipped"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastError: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
 
-  const readingTime = createdAt || new Date();
-  const hid = houseId || "house-1";
-  const modeStr = (mode || "AUTO").toString().trim().toUpperCase();
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+notificationDeliverySchema.index({ alertId: 1 });
 
-  // ----------------- ENVIRONMENTAL RULES -----------------
+const NotificationDelivery = mongoose.model(
+  "NotificationDelivery",
+  notificationDeliverySchema
+);
 
+// Default nameplate power (W) per actuator until a house sets its own
+const DEFAULT_RATED_WATTS = {
+  light: 200,
+  fan_positive: 750,
+  fan_negative: 750,
+  pressure_washer: 1800,
+};
 
-function generateAlertsFromReading(reading) {
-  const alerts = [];
-  const {
-    temperature,
-    humidity,
-    ammonia,
-    methane,
-    fanIntakeRpm,
-    fanExhaustRpm,
-    fanIntakeDuty,
-    fanExhaustDuty,
-    mode,
-    houseId,
-    createdAt,
-  } = reading;
+// House registry
+const houseSchema = new mongoose.Schema(
+  {
+    houseId: {
+      type: String,
+      required: true,
+      unique: true,
+      match: /^[A-Za-z0-9_-]{1,64}$/,
+    },
+    name: { type: String, default: "" },
+    location: { type: String, default: "" },
+    active: { type: Boolean, default: true },
+    // Alert threshold profile (null = built-in defaults) and the placement
+    // date used to work out flock day for age-based profiles
+    thresholdProfileId: { type: String, default: null },
+    flockStartDate: { type: Date, default: null },
+    // Nameplate power per actuator, for runtime energy estimates (fans are
+    // scaled by duty)
+    ratedWatts: {
+      type: numericGroupSchema(DEFAULT_RATED_WATTS),
+      default: () => ({}),
+    },
+  },
+  { timestamps: true }
+);
 
-  const readingTime = createdAt || new Date();
-  const hid = houseId || "house-1";
-  const modeStr = (mode || "AUTO").toString().trim().toUpperCase();
-  const isForceOff = modeStr === "FORCE_OFF";
+const House = mongoose.model("House", houseSchema);
 
-  // Data Normalization (Numbers)
-  const t = Number(temperature);
-  const h = Number(humidity);
-  const a = Number(ammonia);
-  const m = Number(methane);
-  const fiDuty = Number(fanIntakeDuty) || 0;
-  const fiRpm = Number(fanIntakeRpm) || 0;
-  const feDuty = Number(fanExhaustDuty) || 0;
-  const feRpm = Number(fanExhaustRpm) || 0;
+// Flock cycle: one placement of birds in a house, from placement until the
+// house is emptied. A house has at most one active flock at a time.
+const flockSchema = new mongoose.Schema(
+  {
+    houseId: { type: String, required: true },
+    name: { type: String, default: "" },
+    breed: { type: String, default: "" },
+    placedAt: { type: Date, required: true },
+    initialCount: { type: Number, required: true, min: 1 },
+    // Average chick weight at placement, the starting point for weight gain
+    placementWeightG: { type: Number, default: 42, min: 0 },
+    status: { type: String, enum: ["active", "closed"], default: "active" },
+    endedAt: { type: Date, default: null },
+    notes: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
 
-  // ============================================================
-  // 1. FAULT DETECTION (Priority 1 - Class 3)
-  // ============================================================
-  const intakeStall = !isForceOff && fiDuty > 0 && fiRpm <= 0;
-  const exhaustStall = !isForceOff && feDuty > 0 && feRpm <= 0;
-  const tempSensorFault = (t === 0); // Imposibleng 0°C sa PH farm, likely sira ang DHT22
+flockSchema.index({ houseId: 1, placedAt: -1 });
+flockSchema.index(
+  { houseId: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
 
-  if (intakeStall || exhaustStall || tempSensorFault) {
-    let faultMsg = "Hardware Fault: ";
-    if (intakeStall) faultMsg += "Intake Fan Stall. ";
-    if (exhaustStall) faultMsg += "Exhaust Fan Stall. ";
-    if (tempSensorFault) faultMsg += "Temp Sensor Error (0°C). ";
+const Flock = mongoose.model("Flock", flockSchema);
 
-    alerts.push({
-      houseId: hid,
-      type: "fault", // Class 3
-      category: "mechanical",
-      severity: "high",
-      message: faultMsg.trim(),
-      source: "ml-derived-rules",
-      createdAt: readingTime,
-    });
-  }
+// One record per flock per local day. Deaths, culls, feed and water add up
+// over the day's entries; avgWeightG is the day's weighing, if any.
+const flockLogSchema = new mongoose.Schema(
+  {
+    flockId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    houseId: { type: String, required: true },
+    day: { type: String, required: true }, // YYYY-MM-DD in REPORT_TIMEZONE
+    mortality: { type: Number, default: 0, min: 0 },
+    culls: { type: Number, default: 0, min: 0 },
+    feedKg: { type: Number, default: 0, min: 0 },
+    waterL: { type: Number, default: 0, min: 0 },
+    avgWeightG: { type: Number, default: null, min: 0 },
+    note: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
 
-  // ============================================================
-  // 2. CRITICAL CONDITIONS (Priority 2 - Class 2)
-  // ============================================================
-  // Note: t > 0 para hindi mag-overlap sa Fault logic
-  const tempCritical = (t > 0 && t < 30) || t > 37;
-  const humCritical = h < 55 || h > 80;
-  const nh3Critical = a > 20;
-  const ch4Critical = m > 8;
-
-  if (tempCritical || humCritical || nh3Critical || ch4Critical) {
-    let critMsg = "Critical Condition: ";
-    if (tempCritical) critMsg += `Extreme Temp (${t.toFixed(1)}°C). `;
-    if (humCritical) critMsg += `Extreme Hum (${h.toFixed(1)}%). `;
-    if (nh3Critical) critMsg += `High Ammonia (${a.toFixed(1)}ppm). `;
-    if (ch4Critical) critMsg += `High Methane (${m.toFixed(1)}ppm). `;
+flockLogSchema.index({ flockId: 1, day: 1 }, { unique: true });
 
-    alerts.push({
-      houseId: hid,
-      type: "critical", // Class 2
-      category: "environment",
-      severity: "high",
-      message: critMsg.trim(),
-      source: "ml-derived-rules",
-      createdAt: readingTime,
-    });
-  }
+const FlockLog = mongoose.model("FlockLog", flockLogSchema);
 
-  // ============================================================
-  // 3. WARNING CONDITIONS (Priority 3 - Class 1)
-  // ============================================================
-  const tempWarning = !tempCritical && t !== 0 && ((t >= 30 && t < 32) || (t > 35 && t <= 37));
-  const humWarning = !humCritical && ((h >= 55 && h < 60) || (h > 70 && h <= 80));
-  const nh3Warning = !nh3Critical && (a > 10 && a <= 20);
-  const ch4Warning = !ch4Critical && (m > 4 && m <= 8);
-  const fanDegraded = !isForceOff && ((fiDuty >= 30 && fiRpm > 0 && fiRpm < 1500) || (feDuty >= 30 && feRpm > 0 && feRpm < 1500));
-
-  if (tempWarning || humWarning || nh3Warning || ch4Warning || fanDegraded) {
-    let warnMsg = "Warning: ";
-    if (tempWarning) warnMsg += "Temp unstable. ";
-    if (humWarning) warnMsg += "Hum unstable. ";
-    if (nh3Warning || ch4Warning) warnMsg += "Gas levels rising. ";
-    if (fanDegraded) warnMsg += "Low fan RPM. ";
+// Alert threshold profiles. Each stage holds the limits from its fromDay of
+// flock age; limits between two stages are interpolated day by day (or held
+// as steps when interpolate is false).
+const DEFAULT_THRESHOLDS = {
+  temperature: {
+    criticalLow: 30,
+    warningLow: 32,
+    warningHigh: 35,
+    criticalHigh: 37,
+  },
+  humidity: {
+    criticalLow: 55,
+    warningLow: 60,
+    warningHigh: 70,
+    criticalHigh: 80,
+  },
+  ammonia: { warningHigh: 10, criticalHigh: 20 },
+  methane: { warningHigh: 4, criticalHigh: 8 },
+  fan: { minRpm: 1500, minDuty: 30 },
+  // Derived metrics. THI and dew point limits match the temperature and
+  // humidity highs above (35 °C/70 % and 37 °C/80 %); gas load is scored
+  // so 100 is one gas at its critical level, or both at warning.
+  thi: { warningHigh: 89, criticalHigh: 94 },
+  dewPoint: { warningHigh: 29, criticalHigh: 33 },
+  gasLoad: { warningHigh: 75, criticalHigh: 100 },
+};
 
-    alerts.push({
-      houseId: hid,
-      type: "warning", // Class 1
-      category: fanDegraded ? "mechanical" : "environment",
-      severity: "medium",
-      message: warnMsg.trim(),
-      source: "ml-derived-rules",
-      createdAt: readingTime,
-    });
+function numericGroupSchema(defaults) {
+  const fields = {};
+  for (const [key, value] of Object.entries(defaults)) {
+    fields[key] = { type: Number, default: value };
   }
+  return new mongoose.Schema(fields, { _id: false });
+}
 
-  // NOTE: Walang alert record para sa Normal (Class 0) para tipid sa database.
-  return alerts;
+function bandsOrdered(band) {
+  const order = ["criticalLow", "warningLow", "warningHigh", "criticalHigh"]
+    .map((k) => band[k])
+    .filter((v) => v != null);
+  return order.every((v, i) => i === 0 || order[i - 1] <= v);
 }
 
-// ===== API ENDPOINTS =====
+const thresholdStageSchema = new mongoose.Schema(
+  {
+    fromDay: { type: Number, default: 0, min: 0 },
+    temperature: {
+      type: numericGroupSchema(DEFAULT_THRESHOLDS.temperature),
+      default: () => ({}),
+      validate: [bandsOrdered, "temperature limits must be ascending"],
+    },
+    humidity: {
+      type: numericGroupSchema(DEFAULT_THRESHOLDS.humidity),
+      default: () => ({}),
+      validate: [bandsOrdered, "humidity limits must be ascending"],
+    },
+    ammonia: {
+      type: numericGroupSchema(DEFAULT_THRESHOLDS.ammonia),
+      default: () => ({}),
+      validate: [bandsOrdered, "ammonia limits must be ascending"],
+    },
+    methane: {
+      type: numericGroupSchema(DEFAULT_THRESHOLDS.methane),
+      default: () => ({}),
+      validate: [bandsOrdered, "methane limits must be ascending"],
+    },
+    fan: {
+      type: numericGroupSchema(DEFAULT_THRESHOLDS.fan),
+      default: () => ({}),
+    },
+    thi: {
+      type: numericGroupSchema(DEFAULT_THRESHOLDS.thi),
+      default: () => ({}),
+      validate: [bandsOrdered, "thi limits must be ascending"],
+    },
+    dewPoint: {
+      type: numericGroupSchema(DEFAULT_THRESHOLDS.dewPoint),
+      default: () => ({}),
+      validate: [bandsOrdered, "dewPoint limits must be ascending"],
+    },
+    gasLoad: {
+      type: numericGroupSchema(DEFAULT_THRESHOLDS.gasLoad),
+      default: () => ({}),
+      validate: [bandsOrdered, "gasLoad limits must be ascending"],
+    },
+  },
+  { _id: false }
+);
 
-// Health check
-app.get("/health", (req, res) => {
-  res.json({
-    status: "Backend is running",
-    timestamp: new Date().toISOString(),
-    version: "2.5.0-ml-threshold-rules",
-    cache: {
-      keys: cache.keys().length,
-      stats: cache.getStats(),
+const thresholdProfileSchema = new mongoose.Schema(
+  {
+    profileId: {
+      type: String,
+      required: true,
+      unique: true,
+      match: /^[A-Za-z0-9_-]{1,64}$/,
     },
-  });
-});
+    name: { type: String, default: "" },
+    description: { type: String, default: "" },
+    interpolate: { type: Boolean, default: true },
+    stages: {
+      type: [thresholdStageSchema],
+      validate: [(v) => v.length > 0, "at least one stage is required"],
+    },
+  },
+  { timestamps: true }
+);
 
-// 1️⃣ POST /api/sensors - ESP32 Fan MCU sends full sensor data
-app.post("/api/sensors", async (req, res) => {
-  try {
-    const {
-      houseId,
-      temperature,
-      humidity,
-      ammonia,
-      methane,
-      light,
-      fanIntakeRpm,
-      fanExhaustRpm,
-      fanIntakeDuty,
-      fanExhaustDuty,
-      lightStatus,
-      pressureWasherStatus,
-      mode,
-    } = req.body;
+const ThresholdProfile = mongoose.model(
+  "ThresholdProfile",
+  thresholdProfileSchema
+);
 
-    if (
-      temperature === undefined ||
-      humidity === undefined ||
-      ammonia === undefined ||
-      methane === undefined
-    ) {
-      return res.status(400).json({
-        error:
-          "Missing required fields: temperature, humidity, ammonia, methane",
-      });
-    }
+const autoControlConfigSchema = new mongoose.Schema(
+  {
+    houseId: { type: String, required: true, unique: true },
+    enabled: { type: Boolean, default: true },
+    fan: {
+      type: numericGroupSchema(DEFAULT_AUTO_CONTROL.fan),
+      default: () => ({}),
+    },
+    light: {
+      type: numericGroupSchema(DEFAULT_AUTO_CONTROL.light),
+      default: () => ({}),
+    },
+  },
+  { timestamps: true }
+);
 
-    const sensorData = await SensorData.create({
-      houseId: houseId || "house-1",
-      temperature,
-      humidity,
-      ammonia,
-      methane,
-      light: light || 0,
-      fanIntakeRpm: fanIntakeRpm || 0,
-      fanExhaustRpm: fanExhaustRpm || 0,
-      fanIntakeDuty: fanIntakeDuty || 0,
-      fanExhaustDuty: fanExhaustDuty || 0,
-      lightStatus: lightStatus || "OFF",
-      pressureWasherStatus: pressureWasherStatus || "OFF",
-      mode: mode || "AUTO",
-    });
+const AutoControlConfig = mongoose.model(
+  "AutoControlConfig",
+  autoControlConfigSchema
+);
 
-    const alertsToCreate = generateAlertsFromReading(sensorData);
-    if (alertsToCreate.length > 0) {
-      await Alert.insertMany(alertsToCreate);
-    }
+// Per-house schedules: light photoperiods (on/off window by flock day) and
+// recurring pressure washer runs
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Longest timed run or override, scheduled or from /api/control (seconds)
+const MAX_TIMER_SECONDS = 3600;
 
-    cache.del("latest_sensor");
-    cache.del("sensor_history");
+const photoperiodStageSchema = new mongoose.Schema(
+  {
+    fromDay: { type: Number, default: 0, min: 0 },
+    // onTime === offTime means 24 h light
+    onTime: { type: String, required: true, match: HHMM },
+    offTime: { type: String, required: true, match: HHMM },
+  },
+  { _id: false }
+);
 
-    return res.status(201).json({
-      success: true,
-      message: "Sensor data saved",
-      data: sensorData,
-      alertsCreated: alertsToCreate.length,
+const scheduleSchema = new mongoose.Schema(
+  {
+    houseId: { type: String, required: true, index: true },
+    name: { type: String, default: "" },
+    kind: { type: String, enum: ["photoperiod", "washer"], required: true },
+    enabled: { type: Boolean, default: true },
+    photoperiod: { type: [photoperiodStageSchema], default: undefined },
+    washer: {
+      daysOfWeek: [{ type: Number, min: 0, max: 6 }],
+      time: { type: String, match: HHMM },
+      durationSeconds: { type: Number, min: 10, max: MAX_TIMER_SECONDS },
+    },
+    // Local date of the last washer run, so each day fires at most once
+    lastRunKey: { type: String, default: null },
+    lastRunAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+scheduleSchema.pre("validate", function () {
+  if (this.kind === "photoperiod" && !(this.photoperiod || []).length) {
+    this.invalidate("photoperiod", "photoperiod needs at least one stage");
+  }
+  if (
+    this.kind === "washer" &&
+    (!this.washer || !this.washer.time || !this.washer.durationSeconds)
+  ) {
+    this.invalidate("washer", "washer needs time and durationSeconds");
+  }
+});
+
+const Schedule = mongoose.model("Schedule", scheduleSchema);
+
+// Execution log for schedules
+const scheduleRunSchema = new mongoose.Schema({
+  scheduleId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  houseId: { type: String, required: true },
+  kind: { type: String, required: true },
+  action: { type: String, required: true },
+  result: { type: String, enum: ["applied", "skipped", "error"] },
+  detail: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+scheduleRunSchema.index({ houseId: 1, createdAt: -1 });
+scheduleRunSchema.index({ scheduleId: 1, createdAt: -1 });
+
+const ScheduleRun = mongoose.model("ScheduleRun", scheduleRunSchema);
+
+// Sensor fields and actuators a registered device can carry
+const SENSOR_FIELDS = [
+  "temperature",
+  "humidity",
+  "ammonia",
+  "methane",
+  "light",
+  "fanIntakeRpm",
+  "fanExhaustRpm",
+  "fanIntakeDuty",
+  "fanExhaustDuty",
+  "lightStatus",
+  "pressureWasherStatus",
+];
+const ACTUATORS = ["light", "fan_positive", "fan_negative", "pressure_washer"];
+
+// Persistent one-shot jobs. "revert" puts a device back to revertTo when a
+// timed override (or the washer safety timer) runs out.
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    houseId: { type: String, required: true },
+    device: { type: String, enum: ACTUATORS, required: true },
+    action: { type: String, enum: ["revert"], default: "revert" },
+    runAt: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "running", "done", "cancelled", "failed"],
+      default: "pending",
+    },
+    revertTo: {
+      mode: { type: String, required: true },
+      state: { type: String, enum: ["ON", "OFF"], required: true },
+      duty: { type: Number, default: null },
+    },
+    // Stream/log reason when it fires: timed-override | washer-timer
+    reason: { type: String, default: "timed-override" },
+    createdBy: { type: String, default: null },
+    firedAt: { type: Date, default: null },
+    attempts: { type: Number, default: 0 },
+    error: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ houseId: 1, device: 1, status: 1 });
+
+const ScheduledJob = mongoose.model("ScheduledJob", scheduledJobSchema);
+
+// Device registry (fan MCU / light MCU and what each one carries)
+const deviceSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: true,
+      unique: true,
+      match: /^[A-Za-z0-9_-]{1,64}$/,
+    },
+    houseId: { type: String, required: true, index: true },
+    type: {
+      type: String,
+      enum: ["fan_mcu", "light_mcu"],
+      required: true,
+    },
+    name: { type: String, default: "" },
+    sensors: [{ type: String, enum: SENSOR_FIELDS }],
+    actuators: [{ type: String, enum: ACTUATORS }],
+    active: { type: Boolean, default: true },
+    // Only the SHA-256 of the key is stored; the key itself is shown once
+    apiKeyHash: { type: String, default: null, index: true, select: false },
+    apiKeyPrefix: { type: String, default: null },
+    apiKeyIssuedAt: { type: Date, default: null },
+    apiKeyRevokedAt: { type: Date, default: null },
+    // Heartbeat: last ingest or control poll, and when the watchdog
+    // flagged the device offline (null while online)
+    lastSeenAt: { type: Date, default: null },
+    lastSeenVia: {
+      type: String,
+      enum: ["sensors", "light-status", "control-poll", null],
+      default: null,
+    },
+    offlineSince: { type: Date, default: null },
+    offlineAfterSeconds: { type: Number, default: null, min: 30 },
+  },
+  { timestamps: true }
+);
+
+const Device = mongoose.model("Device", deviceSchema);
+
+// Operator accounts: viewer (dashboards), operator (device control),
+// admin (reset and configuration)
+const ROLES = ["viewer", "operator", "admin"];
+
+const userSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z0-9_.-]{3,32}$/,
+    },
+    passwordHash: { type: String, required: true, select: false },
+    role: { type: String, enum: ROLES, default: "viewer" },
+    active: { type: Boolean, default: true },
+    lastLoginAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+const User = mongoose.model("User", userSchema);
+
+// Login sessions (only the token hash is stored, expired ones are TTL-purged)
+const sessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  expiresAt: { type: Date, required: true, expires: 0 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const Session = mongoose.model("Session", sessionSchema);
+
+// Stream events (readings, alerts, control changes) kept for SSE replay
+const streamEventSchema = new mongoose.Schema({
+  houseId: { type: String, required: true },
+  type: {
+    type: String,
+    enum: ["reading", "alert", "control"],
+    required: true,
+  },
+  data: { type: mongoose.Schema.Types.Mixed, required: true },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: STREAM_REPLAY_MINUTES * 60,
+  },
+});
+
+streamEventSchema.index({ houseId: 1, _id: 1 });
+
+const StreamEvent = mongoose.model("StreamEvent", streamEventSchema);
+
+// Control audit trail: one append-only record per device mode/state change
+const CONTROL_SOURCES = [
+  "dashboard",
+  "schedule",
+  "auto-engine",
+  "safety-timer",
+  "timed-override",
+  "admin-reset",
+];
+
+const controlSnapshotSchema = new mongoose.Schema(
+  {
+    mode: { type: String, default: null },
+    state: { type: String, default: null },
+    duty: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const controlAuditSchema = new mongoose.Schema({
+  houseId: { type: String, required: true },
+  device: { type: String, enum: ACTUATORS, required: true },
+  previous: { type: controlSnapshotSchema, default: () => ({}) },
+  next: { type: controlSnapshotSchema, required: true },
+  actor: { type: String, default: "system" },
+  source: { type: String, enum: CONTROL_SOURCES, required: true },
+  detail: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+controlAuditSchema.index({ houseId: 1, device: 1, createdAt: -1 });
+controlAuditSchema.index({ houseId: 1, createdAt: -1 });
+
+// Audit records are never edited or removed through the app
+controlAuditSchema.pre("save", function () {
+  if (!this.isNew) throw new Error("Control audit records are immutable");
+});
+for (const op of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  controlAuditSchema.pre(op, function () {
+    throw new Error("Control audit records are immutable");
+  });
+}
+
+const ControlAudit = mongoose.model("ControlAudit", controlAuditSchema);
+
+// Device shadow: the state each actuator last reported, kept beside the
+// desired state in ControlState. driftSince marks when the two first
+// stopped matching.
+const reportedActuatorSchema = new mongoose.Schema(
+  {
+    state: { type: String, enum: ["ON", "OFF", null], default: null },
+    duty: { type: Number, default: null },
+    // ControlState.version the reporting MCU says it applied
+    version: { type: Number, default: null },
+    deviceId: { type: String, default: null },
+    reportedAt: { type: Date, default: null },
+    driftSince: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const deviceShadowSchema = new mongoose.Schema(
+  {
+    houseId: { type: String, required: true, unique: true },
+    ...Object.fromEntries(
+      ACTUATORS.map((dev) => [
+        dev,
+        { type: reportedActuatorSchema, default: () => ({}) },
+      ])
+    ),
+  },
+  { timestamps: true }
+);
+
+const DeviceShadow = mongoose.model("DeviceShadow", deviceShadowSchema);
+
+// Runtime accounting: the last known state of each actuator per house
+// (where the next interval starts), and ON time / energy per local day
+const runtimeDeviceSchema = new mongoose.Schema(
+  {
+    on: { type: Boolean, default: false },
+    duty: { type: Number, default: null },
+    at: { type: Date, default: null },
+    source: { type: String, enum: ["reported", "control"], default: null },
+    reportedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const runtimeTrackerSchema = new mongoose.Schema(
+  {
+    houseId: { type: String, required: true, unique: true },
+    ...Object.fromEntries(
+      ACTUATORS.map((dev) => [
+        dev,
+        { type: runtimeDeviceSchema, default: () => ({}) },
+      ])
+    ),
+    // Bumped on every write; intervals are only booked over the revision
+    // they were read from
+    revision: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+const RuntimeTracker = mongoose.model("RuntimeTracker", runtimeTrackerSchema);
+
+const runtimeDailySchema = new mongoose.Schema(
+  {
+    houseId: { type: String, required: true },
+    device: { type: String, enum: ACTUATORS, required: true },
+    day: { type: String, required: true }, // YYYY-MM-DD in REPORT_TIMEZONE
+    onSeconds: { type: Number, default: 0 },
+    energyWh: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+runtimeDailySchema.index({ houseId: 1, day: 1, device: 1 }, { unique: true });
+
+const RuntimeDaily = mongoose.model("RuntimeDaily", runtimeDailySchema);
+
+// ===== CREATE INDEXES FUNCTION =====
+async function createIndexes() {
+  try {
+    await SensorData.collection.createIndex({ houseId: 1, createdAt: -1 });
+    await SensorData.collection.createIndex({ createdAt: -1 });
+    console.log("✅ MongoDB indexes created successfully");
+  } catch (err) {
+    console.error("⚠️ Index creation warning:", err.message);
+  }
+}
+
+// ===== HELPER: Default control document for a house =====
+function defaultControlDoc(houseId) {
+  return {
+    houseId,
+    light: { mode: "AUTO", state: "OFF" },
+    fan_positive: { mode: "AUTO", state: "OFF" },
+    fan_negative: { mode: "AUTO", state: "OFF" },
+    pressure_washer: {
+      mode: "FORCE_OFF",
+      state: "OFF",
+      timerDuration: 0,
+      timerStartedAt: null,
+      timerExpiresAt: null,
+    },
+    fanIntake: "OFF",
+    fanExhaust: "OFF",
+    mode: "AUTO",
+  };
+}
+
+function invalidateControlCache(houseId) {
+  cache.del(`control_state_${houseId}`);
+  cache.del(`control_state_read_${houseId}`);
+}
+
+// Legacy single-house docs were saved without a houseId. The default house
+// adopts that doc so existing ESP32 firmware keeps its current control state.
+async function adoptLegacyControlDoc(houseId) {
+  if (houseId !== DEFAULT_HOUSE_ID) return null;
+
+  const legacy = await ControlState.findOneAndUpdate(
+    { houseId: { $exists: false } },
+    { $set: { houseId } },
+    { returnDocument: "after" }
+  );
+  if (!legacy) return null;
+
+  console.log(`🔧 Adopted legacy control doc for ${houseId}`);
+  return legacy;
+}
+
+// ===== HELPER: Get or Create Control State (write version) =====
+async function getControlState(houseId = DEFAULT_HOUSE_ID) {
+  let control =
+    (await ControlState.findOne({ houseId })) ||
+    (await adoptLegacyControlDoc(houseId));
+
+  if (!control) {
+    control = await ControlState.create(defaultControlDoc(houseId));
+  } else if (typeof control.light === "string") {
+    console.log(`🔧 Found legacy control doc for ${houseId}, resetting it...`);
+    await ControlState.deleteMany({ houseId });
+    control = await ControlState.create(defaultControlDoc(houseId));
+    console.log("🔧 Control state reset to new schema");
+  }
+
+  cache.set(`control_state_${houseId}`, control);
+  return control;
+}
+
+// Read-only version for ESP32 polling (lean + cache)
+async function getControlStateForRead(houseId = DEFAULT_HOUSE_ID) {
+  const cacheKey = `control_state_read_${houseId}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  let control = await ControlState.findOne({ houseId }).lean();
+  if (!control && houseId === DEFAULT_HOUSE_ID) {
+    const legacy = await adoptLegacyControlDoc(houseId);
+    control = legacy ? legacy.toObject() : null;
+  }
+  if (control) cache.set(cacheKey, control);
+  return control;
+}
+
+// ===== HELPER: House & device registry lookups =====
+async function ensureDefaultHouse() {
+  try {
+    await House.updateOne(
+      { houseId: DEFAULT_HOUSE_ID },
+      { $setOnInsert: { houseId: DEFAULT_HOUSE_ID, name: "Default house" } },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.error("⚠️ Default house seed warning:", err.message);
+  }
+}
+
+async function findHouse(houseId) {
+  const cacheKey = `house_${houseId}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const house = await House.findOne({ houseId, active: true }).lean();
+  if (house) cache.set(cacheKey, house);
+  return house;
+}
+
+async function findDevice(deviceId) {
+  const cacheKey = `device_${deviceId}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const device = await Device.findOne({ deviceId, active: true }).lean();
+  if (device) cache.set(cacheKey, device);
+  return device;
+}
+
+// Middleware: resolves the houseId from params/query/body against the
+// registry and exposes it as req.houseId. Unknown houses get a 404.
+async function resolveHouse(req, res, next) {
+  try {
+    const raw =
+      (req.params && req.params.houseId) ||
+      req.query.houseId ||
+      (req.flock && req.flock.houseId) ||
+      (req.body && req.body.houseId) ||
+      (req.device && req.device.houseId) ||
+      DEFAULT_HOUSE_ID;
+
+    const house = await findHouse(String(raw));
+    if (!house) {
+      return res.status(404).json({ error: `Unknown house: ${raw}` });
+    }
+
+    req.house = house;
+    req.houseId = house.houseId;
+    return next();
+  } catch (err) {
+    console.error("Error resolving house:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
+
+// Checks an ingest payload's houseId/deviceId against the registry.
+// Legacy firmware that sends no deviceId is accepted for a known house.
+async function checkIngestSource(houseId, deviceId, expectedType, keyed) {
+  // A keyed device is already verified and pinned to its own house
+  if (keyed) {
+    return {
+      houseId: keyed.houseId,
+      deviceId: keyed.deviceId,
+      registryStatus: "ok",
+    };
+  }
+
+  const hid = houseId || DEFAULT_HOUSE_ID;
+  const house = await findHouse(hid);
+  if (!house) {
+    return {
+      houseId: hid,
+      deviceId: deviceId || null,
+      registryStatus: "unknown_house",
+    };
+  }
+
+  if (!deviceId) {
+    return { houseId: hid, deviceId: null, registryStatus: "ok" };
+  }
+
+  const device = await findDevice(deviceId);
+  if (!device || device.houseId !== hid || device.type !== expectedType) {
+    return { houseId: hid, deviceId, registryStatus: "unknown_device" };
+  }
+
+  return { houseId: hid, deviceId, registryStatus: "ok" };
+}
+
+function invalidateRegistryCache(houseId, deviceId) {
+  if (houseId) cache.del(`house_${houseId}`);
+  if (deviceId) cache.del(`device_${deviceId}`);
+}
+
+// ===== HELPER: Per-device API keys =====
+function hashSecret(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function generateDeviceKey() {
+  return `pk_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+async function findDeviceByKey(key) {
+  const hash = hashSecret(key);
+  const cacheKey = `device_key_${hash}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const device = await Device.findOne({
+    apiKeyHash: hash,
+    apiKeyRevokedAt: null,
+    active: true,
+  }).lean();
+  if (device) cache.set(cacheKey, device);
+  return device;
+}
+
+// Middleware: authenticates an MCU by its X-Device-Key header and exposes it
+// as req.device. The key pins the device to its house, so a request naming
+// another house is refused.
+function authenticateDevice(expectedType) {
+  return async (req, res, next) => {
+    try {
+      const key = req.get("x-device-key");
+      if (!key) {
+        if (DEVICE_KEYS_REQUIRED) {
+          return res.status(401).json({ error: "Missing device key" });
+        }
+        req.device = null;
+        return next();
+      }
+
+      const device = await findDeviceByKey(key);
+      if (!device) {
+        return res.status(401).json({ error: "Invalid or revoked device key" });
+      }
+      if (expectedType && device.type !== expectedType) {
+        return res.status(403).json({
+          error: `Device ${device.deviceId} is not a ${expectedType}`,
+        });
+      }
+
+      const claimedHouse = req.query.houseId || (req.body && req.body.houseId);
+      if (claimedHouse && claimedHouse !== device.houseId) {
+        return res.status(403).json({
+          error: `Device ${device.deviceId} belongs to ${device.houseId}`,
+        });
+      }
+
+      req.device = device;
+      return next();
+    } catch (err) {
+      console.error("Error authenticating device:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  };
+}
+
+// ===== HELPER: Operator accounts & sessions =====
+const ROLE_RANK = { viewer: 1, operator: 2, admin: 3 };
+const scryptAsync = (password, salt) =>
+  new Promise((resolve, reject) =>
+    crypto.scrypt(password, salt, 64, (err, key) =>
+      err ? reject(err) : resolve(key)
+    )
+  );
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const key = await scryptAsync(password, salt);
+  return `scrypt$${salt}$${key.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hex] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hex) return false;
+
+  const key = await scryptAsync(password, salt);
+  const expected = Buffer.from(hex, "hex");
+  return (
+    expected.length === key.length && crypto.timingSafeEqual(expected, key)
+  );
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < 8) {
+    return "Password must be at least 8 characters";
+  }
+  return null;
+}
+
+async function ensureBootstrapAdmin() {
+  try {
+    if ((await User.countDocuments()) > 0) return;
+
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+      console.warn(
+        "⚠️ No operator accounts yet: set ADMIN_USERNAME/ADMIN_PASSWORD to create the first admin"
+      );
+      return;
+    }
+
+    await User.create({
+      username: ADMIN_USERNAME,
+      passwordHash: await hashPassword(ADMIN_PASSWORD),
+      role: "admin",
+    });
+    console.log(`👤 Bootstrap admin "${ADMIN_USERNAME}" created`);
+  } catch (err) {
+    console.error("⚠️ Bootstrap admin warning:", err.message);
+  }
+}
+
+function bearerToken(req) {
+  const header = req.get("authorization") || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+async function findSessionUser(token) {
+  const tokenHash = hashSecret(token);
+  const cacheKey = `session_${tokenHash}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const session = await Session.findOne({
+    tokenHash,
+    expiresAt: { $gt: new Date() },
+  }).lean();
+  if (!session) return null;
+
+  const user = await User.findOne({ _id: session.userId, active: true })
+    .select("username role")
+    .lean();
+  if (user) cache.set(cacheKey, user);
+  return user;
+}
+
+// Middleware: requires a valid operator session with at least minRole and
+// exposes the account as req.user
+function requireRole(minRole) {
+  return async (req, res, next) => {
+    try {
+      const token = bearerToken(req);
+      if (!token) {
+        return res.status(401).json({ error: "Authentication required" });
+      }
+
+      const user = await findSessionUser(token);
+      if (!user) {
+        return res.status(401).json({ error: "Invalid or expired session" });
+      }
+      if (ROLE_RANK[user.role] < ROLE_RANK[minRole]) {
+        return res
+          .status(403)
+          .json({ error: `Requires ${minRole} role or higher` });
+      }
+
+      req.user = user;
+      return next();
+    } catch (err) {
+      console.error("Error authenticating user:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  };
+}
+
+// Routes polled by both MCUs and the dashboard: a device key authenticates
+// the MCU, a bearer token the operator. With neither, the device-key policy
+// (DEVICE_KEYS_REQUIRED) decides.
+function authenticateDeviceOrRole(minRole) {
+  const deviceAuth = authenticateDevice(null);
+  const userAuth = requireRole(minRole);
+  return (req, res, next) => {
+    if (!req.get("x-device-key") && bearerToken(req)) {
+      return userAuth(req, res, next);
+    }
+    return deviceAuth(req, res, next);
+  };
+}
+
+// ===== REAL-TIME EVENT STREAM (SSE) =====
+const streamClients = new Set();
+
+function writeStreamEvent(client, event) {
+  client.res.write(
+    `id: ${event._id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+      houseId: event.houseId,
+      ...event.data,
+    })}\n\n`
+  );
+  client.lastId = String(event._id);
+}
+
+function deliverStreamEvent(client, event) {
+  if (client.houseId && client.houseId !== event.houseId) return;
+  if (client.pending) {
+    client.pending.push(event);
+    return;
+  }
+  writeStreamEvent(client, event);
+}
+
+// Persists the event (for Last-Event-ID replay) and pushes it to every
+// subscriber of that house. Never throws: streaming must not break ingest.
+async function publishEvent(houseId, type, data) {
+  try {
+    const payload = JSON.parse(JSON.stringify(data));
+    const event = await StreamEvent.create({ houseId, type, data: payload });
+    for (const client of streamClients) deliverStreamEvent(client, event);
+  } catch (err) {
+    console.error("⚠️ Stream publish error:", err.message);
+  }
+}
+
+// ===== HELPER: Sensor history ranges & aggregation =====
+const HISTORY_METRICS = [
+  "temperature",
+  "humidity",
+  "ammonia",
+  "methane",
+  "light",
+  "fanIntakeRpm",
+  "fanExhaustRpm",
+  "fanIntakeDuty",
+  "fanExhaustDuty",
+  "thi",
+  "dewPoint",
+  "gasLoad",
+];
+
+const BUCKETS = {
+  minute: { ms: 60 * 1000, defaultSpanMs: 60 * 60 * 1000 },
+  hour: { ms: 60 * 60 * 1000, defaultSpanMs: 24 * 60 * 60 * 1000 },
+  day: { ms: 24 * 60 * 60 * 1000, defaultSpanMs: 30 * 24 * 60 * 60 * 1000 },
+};
+const MAX_BUCKETS = 5000;
+const MAX_RAW_HISTORY = 1000;
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || "UTC";
+// Local calendar day, as produced by localClock().dateKey
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parses an ISO date / epoch-ms query value; undefined when absent,
+// null when present but invalid
+function parseDateParam(value) {
+  if (value === undefined || value === "") return undefined;
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Resolves ?from=&to= into a {from, to} window, defaulting the start to
+// defaultSpanMs before the end. Returns {error} on bad input.
+// With a flock, the range defaults to and is clamped within its cycle
+function parseTimeRange(query, defaultSpanMs, flock = null) {
+  const to = parseDateParam(query.to);
+  const from = parseDateParam(query.from);
+  if (to === null || from === null) {
+    return { error: "Invalid from/to date (use ISO 8601 or epoch ms)" };
+  }
+
+  if (flock) {
+    const cycle = flockWindow(flock);
+    const end = to && to < cycle.to ? to : cycle.to;
+    const start = from && from > cycle.from ? from : cycle.from;
+    if (start >= end) {
+      return { error: "from/to fall outside the flock cycle" };
+    }
+    return { from: start, to: end };
+  }
+
+  const end = to || new Date();
+  const start =
+    from || (defaultSpanMs ? new Date(end.getTime() - defaultSpanMs) : null);
+  if (start && start >= end) {
+    return { error: "from must be earlier than to" };
+  }
+  return { from: start, to: end };
+}
+
+// IANA zone names only, so a bad ?tz= is a 400 rather than a Mongo error
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function createdAtFilter(range) {
+  const filter = { $lte: range.to };
+  if (range.from) filter.$gte = range.from;
+  return filter;
+}
+
+// A metric's value, or null when its data-quality flag is not ok
+function goodSampleExpr(metric) {
+  return {
+    $cond: [
+      { $eq: [{ $ifNull: [`$quality.${metric}`, "ok"] }, "ok"] },
+      `$${metric}`,
+      null,
+    ],
+  };
+}
+
+// Nulls out metrics flagged bad, so charts show a gap instead of the glitch
+function maskBadSamples(row) {
+  if (!row.quality) return row;
+  const out = { ...row };
+  for (const [field, flag] of Object.entries(row.quality)) {
+    if (flag && flag !== "ok") out[field] = null;
+  }
+  return out;
+}
+
+// One $group stage: min/max/avg/count per metric for each time bucket.
+// With excludeBad, flagged samples drop out of that metric's figures.
+function buildBucketPipeline(
+  match,
+  bucket,
+  timezone,
+  excludeBad = false,
+  metrics = HISTORY_METRICS
+) {
+  const group = {
+    _id: {
+      $dateTrunc: { date: "$createdAt", unit: bucket, timezone },
+    },
+    count: { $sum: 1 },
+  };
+  for (const metric of metrics) {
+    const value =
+      excludeBad && QUALITY_RULES[metric]
+        ? goodSampleExpr(metric)
+        : `$${metric}`;
+    group[`${metric}_min`] = { $min: value };
+    group[`${metric}_max`] = { $max: value };
+    group[`${metric}_avg`] = { $avg: value };
+    group[`${metric}_count`] = {
+      $sum: { $cond: [{ $isNumber: value }, 1, 0] },
+    };
+  }
+
+  return [{ $match: match }, { $group: group }, { $sort: { _id: 1 } }];
+}
+
+function shapeBucket(row) {
+  const out = { bucket: row._id, count: row.count };
+  for (const metric of HISTORY_METRICS) {
+    const avg = row[`${metric}_avg`];
+    out[metric] = {
+      min: row[`${metric}_min`] ?? null,
+      max: row[`${metric}_max`] ?? null,
+      avg: avg == null ? null : Math.round(avg * 100) / 100,
+      count: row[`${metric}_count`] ?? 0,
+    };
+  }
+  return out;
+}
+
+// ===== HELPER: Merging device streams (fan MCU + light MCU) =====
+// Fields the light MCU reports on its own stream; the fan MCU may carry
+// them too, and the newest value wins
+const LIGHT_STREAM_FIELDS = ["light", "lightStatus", "pressureWasherStatus"];
+// Numeric light-stream fields that buckets can average
+const LIGHT_HISTORY_METRICS = ["light"];
+const MAX_LIGHT_MERGE = 20000;
+// Status from unregistered light MCUs is kept for inspection but never
+// merged into a house's readings (older documents have no flag)
+const REGISTERED_LIGHT = { registryStatus: { $in: ["ok", null] } };
+
+// Newest sensor reading with the light stream's fields overlaid where the
+// light MCU reported more recently. null when the house has no data.
+async function getMergedLatest(houseId) {
+  const [sensor, lightReading] = await Promise.all([
+    SensorData.findOne({ houseId })
+      .sort({ createdAt: -1 })
+      .select("-__v")
+      .lean(),
+    LightReading.findOne({ houseId, ...REGISTERED_LIGHT })
+      .sort({ createdAt: -1 })
+      .select("-__v")
+      .lean(),
+  ]);
+  if (!sensor && !lightReading) return null;
+
+  const merged = { ...(sensor || { houseId }) };
+  const fieldTimes = {};
+  for (const field of LIGHT_STREAM_FIELDS) {
+    const fromSensor = sensor && sensor[field] != null;
+    const fromLight = lightReading && lightReading[field] != null;
+    if (
+      fromLight &&
+      (!fromSensor || lightReading.createdAt >= sensor.createdAt)
+    ) {
+      merged[field] = lightReading[field];
+      fieldTimes[field] = lightReading.createdAt;
+    } else if (fromSensor) {
+      fieldTimes[field] = sensor.createdAt;
+    }
+  }
+
+  merged.sources = {
+    sensor: sensor && {
+      deviceId: sensor.deviceId,
+      createdAt: sensor.createdAt,
+    },
+    light: lightReading && {
+      deviceId: lightReading.deviceId,
+      createdAt: lightReading.createdAt,
+    },
+  };
+  merged.fieldTimes = fieldTimes;
+  return merged;
+}
+
+// Light-stream fields seen so far in a time-ordered walk of light readings;
+// fill() gives a sensor row the newest value of each field it lacks
+function lightStreamState() {
+  const latest = {};
+  return {
+    take(reading) {
+      for (const field of LIGHT_STREAM_FIELDS) {
+        if (reading[field] != null) latest[field] = reading[field];
+      }
+    },
+    fill(row) {
+      for (const field of LIGHT_STREAM_FIELDS) {
+        if (row[field] == null && latest[field] != null) {
+          row[field] = latest[field];
+        }
+      }
+      return row;
+    },
+  };
+}
+
+const missingLightFields = (row) =>
+  LIGHT_STREAM_FIELDS.some((field) => row[field] == null);
+
+// Raw history rows (oldest first) missing a light-stream field take the
+// newest light-stream value at or before their own time
+async function mergeLightHistory(houseId, rows) {
+  const missing = rows.filter(missingLightFields);
+  if (missing.length === 0) return rows;
+
+  const first = missing[0].createdAt;
+  const last = missing[missing.length - 1].createdAt;
+  const select = `${LIGHT_STREAM_FIELDS.join(" ")} createdAt -_id`;
+  const [before, within] = await Promise.all([
+    LightReading.findOne({
+      houseId,
+      ...REGISTERED_LIGHT,
+      createdAt: { $lt: first },
+    })
+      .sort({ createdAt: -1 })
+      .select(select)
+      .lean(),
+    LightReading.find({
+      houseId,
+      ...REGISTERED_LIGHT,
+      createdAt: { $gte: first, $lte: last },
+    })
+      .sort({ createdAt: 1 })
+      .limit(MAX_LIGHT_MERGE)
+      .select(select)
+      .lean(),
+  ]);
+
+  const stream = before ? [before, ...within] : within;
+  const state = lightStreamState();
+  let i = 0;
+  for (const row of missing) {
+    while (i < stream.length && stream[i].createdAt <= row.createdAt) {
+      state.take(stream[i++]);
+    }
+    state.fill(row);
+  }
+  return rows;
+}
+
+// Same merge for an export: walks the light stream with its own cursor
+// alongside the sensor cursor, so neither side is held in memory
+function lightExportMerger(houseId, range) {
+  const state = lightStreamState();
+  const select = `${LIGHT_STREAM_FIELDS.join(" ")} createdAt -_id`;
+  let cursor = null;
+  let next = null;
+
+  return {
+    async fill(row) {
+      if (!cursor) {
+        const before =
+          range.from &&
+          (await LightReading.findOne({
+            houseId,
+            ...REGISTERED_LIGHT,
+            createdAt: { $lt: range.from },
+          })
+            .sort({ createdAt: -1 })
+            .select(select)
+            .lean());
+        if (before) state.take(before);
+        cursor = LightReading.find({
+          houseId,
+          ...REGISTERED_LIGHT,
+          createdAt: createdAtFilter(range),
+        })
+          .sort({ createdAt: 1 })
+          .select(select)
+          .lean()
+          .cursor({ batchSize: 500 });
+        next = await cursor.next();
+      }
+      if (!missingLightFields(row)) return row;
+
+      while (next && next.createdAt <= row.createdAt) {
+        state.take(next);
+        next = await cursor.next();
+      }
+      return state.fill(row);
+    },
+    async close() {
+      if (cursor) await cursor.close();
+    },
+  };
+}
+
+// Folds light-stream bucket rows into the sensor bucket rows (same $group
+// shape), combining min/max/avg/count per metric. The bucket's own count
+// stays the number of sensor samples; light samples show in light.count.
+function mergeBucketRows(rows, extraRows, metrics) {
+  const byTime = new Map(rows.map((row) => [row._id.getTime(), row]));
+  for (const extra of extraRows) {
+    const key = extra._id.getTime();
+    const row = byTime.get(key) || { _id: extra._id, count: 0 };
+    byTime.set(key, row);
+
+    for (const metric of metrics) {
+      const n1 = row[`${metric}_count`] || 0;
+      const n2 = extra[`${metric}_count`] || 0;
+      if (n2 === 0) continue;
+      const pick = (fn, a, b) => (a == null ? b : b == null ? a : fn(a, b));
+      row[`${metric}_min`] = pick(
+        Math.min,
+        row[`${metric}_min`],
+        extra[`${metric}_min`]
+      );
+      row[`${metric}_max`] = pick(
+        Math.max,
+        row[`${metric}_max`],
+        extra[`${metric}_max`]
+      );
+      row[`${metric}_avg`] =
+        ((row[`${metric}_avg`] || 0) * n1 + extra[`${metric}_avg`] * n2) /
+        (n1 + n2);
+      row[`${metric}_count`] = n1 + n2;
+    }
+  }
+  return [...byTime.values()].sort((a, b) => a._id - b._id);
+}
+
+// ===== HELPER: CSV / NDJSON export streaming =====
+const SENSOR_EXPORT_FIELDS = [
+  "createdAt",
+  "houseId",
+  "deviceId",
+  ...HISTORY_METRICS,
+  "lightStatus",
+  "pressureWasherStatus",
+  "mode",
+  "registryStatus",
+  "qualityOk",
+];
+const ALERT_EXPORT_FIELDS = [
+  "createdAt",
+  "houseId",
+  "type",
+  "category",
+  "severity",
+  "message",
+  "source",
+  "score",
+];
+
+function csvCell(value) {
+  if (value == null) return "";
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  // Neutralise spreadsheet formula injection
+  if (/^[=+\-@]/.test(str) && Number.isNaN(Number(str))) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Streams query results with a cursor so large ranges never sit in memory.
+// Respects socket backpressure and stops reading if the client disconnects.
+// An optional merger ({ fill(doc), close() }) completes each doc first.
+async function streamExport(
+  req,
+  res,
+  { model, filter, fields, name, merger = null }
+) {
+  const format = (req.query.format || "csv").toLowerCase();
+  if (format !== "csv" && format !== "ndjson") {
+    return res
+      .status(400)
+      .json({ error: 'Invalid format. Must be "csv" or "ndjson"' });
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set({
+    "Content-Type":
+      format === "csv"
+        ? "text/csv; charset=utf-8"
+        : "application/x-ndjson; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${name}-${stamp}.${format}"`,
+    "Cache-Control": "no-store",
+  });
+
+  let aborted = false;
+  req.on("close", () => {
+    aborted = true;
+  });
+
+  const cursor = model
+    .find(filter)
+    .sort({ createdAt: 1 })
+    .select(`${fields.join(" ")} -_id`)
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  try {
+    if (format === "csv") res.write(`${fields.join(",")}\n`);
+
+    for await (const found of cursor) {
+      if (aborted) break;
+      const doc = merger ? await merger.fill(found) : found;
+      const line =
+        format === "csv"
+          ? `${fields.map((f) => csvCell(doc[f])).join(",")}\n`
+          : `${JSON.stringify(doc)}\n`;
+      if (!res.write(line)) {
+        await Promise.race([once(res, "drain"), once(res, "close")]);
+      }
+    }
+  } finally {
+    await cursor.close();
+    if (merger) await merger.close();
+  }
+
+  return res.end();
+}
+
+// ===== HELPER: Flock cycles =====
+
+// A house's flocks, newest placement first
+async function houseFlocks(houseId) {
+  const cacheKey = `flocks_${houseId}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const flocks = await Flock.find({ houseId }).sort({ placedAt: -1 }).lean();
+  cache.set(cacheKey, flocks);
+  return flocks;
+}
+
+// The flock in the house at a point in time
+function flockAt(flocks, at) {
+  return (
+    flocks.find(
+      (flock) => flock.placedAt <= at && (!flock.endedAt || flock.endedAt > at)
+    ) || null
+  );
+}
+
+// Cycle window: placement until the flock ended (or until now)
+function flockWindow(flock, now = new Date()) {
+  return {
+    from: new Date(flock.placedAt),
+    to: flock.endedAt && flock.endedAt < now ? new Date(flock.endedAt) : now,
+  };
+}
+
+// Age, bird counts, livability and feed conversion from the flock's daily
+// logs (oldest first). FCR is feed eaten per kg of live weight gained since
+// placement, using the latest weighing.
+function flockStats(flock, logs, now = new Date()) {
+  const window = flockWindow(flock, now);
+  const round = (value, places) =>
+    value == null ? null : Number(value.toFixed(places));
+  const initial = flock.initialCount;
+
+  let mortality = 0;
+  let culls = 0;
+  let feedKg = 0;
+  let waterL = 0;
+  let weighing = null;
+  const daily = logs.map((log) => {
+    mortality += log.mortality || 0;
+    culls += log.culls || 0;
+    feedKg += log.feedKg || 0;
+    waterL += log.waterL || 0;
+    if (log.avgWeightG != null) {
+      weighing = { day: log.day, avgWeightG: log.avgWeightG };
+    }
+    const alive = Math.max(initial - mortality - culls, 0);
+    return {
+      day: log.day,
+      mortality: log.mortality,
+      culls: log.culls,
+      feedKg: log.feedKg,
+      waterL: log.waterL,
+      avgWeightG: log.avgWeightG,
+      birdsAlive: alive,
+      livabilityPct: round((alive / initial) * 100, 2),
+      feedPerBirdG: alive ? round((log.feedKg * 1000) / alive, 1) : null,
+      waterPerBirdMl: alive ? round((log.waterL * 1000) / alive, 1) : null,
+    };
+  });
+
+  const birdsAlive = Math.max(initial - mortality - culls, 0);
+  const liveWeightKg = weighing
+    ? (birdsAlive * weighing.avgWeightG) / 1000
+    : null;
+  const gainKg =
+    liveWeightKg != null
+      ? liveWeightKg - (initial * flock.placementWeightG) / 1000
+      : null;
+
+  return {
+    ageDays: flockDay(flock.placedAt, window.to),
+    birdsAlive,
+    mortality,
+    culls,
+    livabilityPct: round((birdsAlive / initial) * 100, 2),
+    mortalityPct: round((mortality / initial) * 100, 2),
+    feedKg: round(feedKg, 2),
+    waterL: round(waterL, 2),
+    waterFeedRatio: feedKg > 0 ? round(waterL / feedKg, 2) : null,
+    avgWeightG: weighing ? weighing.avgWeightG : null,
+    weighedOn: weighing ? weighing.day : null,
+    liveWeightKg: round(liveWeightKg, 1),
+    fcr: gainKg > 0 && feedKg > 0 ? round(feedKg / gainKg, 3) : null,
+    daily,
+  };
+}
+
+function invalidateFlockCache(houseId) {
+  cache.del(`flocks_${houseId}`);
+}
+
+// ?flockId= narrows a query to one flock cycle: the flock's house and its
+// placement-to-end window
+async function resolveFlock(req, res, next) {
+  try {
+    const { flockId } = req.query;
+    if (!flockId) return next();
+    if (!mongoose.isValidObjectId(flockId)) {
+      return res.status(400).json({ error: "Invalid flockId" });
+    }
+
+    const flock = await Flock.findById(flockId).lean();
+    if (!flock) return res.status(404).json({ error: "Flock not found" });
+
+    const houseId = (req.params && req.params.houseId) || req.query.houseId;
+    if (houseId && String(houseId) !== flock.houseId) {
+      return res.status(400).json({
+        error: `Flock ${flockId} belongs to house ${flock.houseId}`,
+      });
+    }
+
+    req.flock = flock;
+    return next();
+  } catch (err) {
+    console.error("Error resolving flock:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
+
+// ===== HELPER: Alert threshold profiles =====
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function flockDay(placedAt, at) {
+  if (!placedAt) return null;
+  const days = Math.floor((at - new Date(placedAt)) / DAY_MS);
+  return Math.max(days, 0);
+}
+
+// Age comes from the flock in the house at the time; houses without flock
+// records fall back to their flockStartDate
+async function houseFlockDay(houseId, house, at) {
+  const flock = flockAt(await houseFlocks(houseId), at);
+  return flockDay(flock ? flock.placedAt : house && house.flockStartDate, at);
+}
+
+function lerpGroup(a, b, ratio) {
+  const out = {};
+  for (const key of Object.keys(a)) {
+    out[key] =
+      a[key] != null && b[key] != null
+        ? a[key] + (b[key] - a[key]) * ratio
+        : a[key];
+  }
+  return out;
+}
+
+// Limits for a given flock day. Without a known age the last (grow-out)
+// stage applies, since that's the longest stretch of a cycle.
+function thresholdsForDay(profile, day) {
+  const stages = [...profile.stages].sort((x, y) => x.fromDay - y.fromDay);
+  const pick = (stage) => ({
+    temperature: { ...stage.temperature },
+    humidity: { ...stage.humidity },
+    ammonia: { ...stage.ammonia },
+    methane: { ...stage.methane },
+    fan: { ...stage.fan },
+    // Stages saved before the derived metrics existed have no limits
+    thi: { ...DEFAULT_THRESHOLDS.thi, ...stage.thi },
+    dewPoint: { ...DEFAULT_THRESHOLDS.dewPoint, ...stage.dewPoint },
+    gasLoad: { ...DEFAULT_THRESHOLDS.gasLoad, ...stage.gasLoad },
+  });
+
+  if (day == null || day >= stages[stages.length - 1].fromDay) {
+    return pick(stages[stages.length - 1]);
+  }
+  if (day <= stages[0].fromDay) return pick(stages[0]);
+
+  const nextIdx = stages.findIndex((stage) => stage.fromDay > day);
+  const prev = pick(stages[nextIdx - 1]);
+  if (profile.interpolate === false) return prev;
+
+  const next = pick(stages[nextIdx]);
+  const ratio =
+    (day - stages[nextIdx - 1].fromDay) /
+    (stages[nextIdx].fromDay - stages[nextIdx - 1].fromDay);
+  const out = {};
+  for (const group of Object.keys(prev)) {
+    out[group] = lerpGroup(prev[group], next[group], ratio);
+  }
+  return out;
+}
+
+// Resolves the active limits for a house at a point in time
+async function getActiveThresholds(houseId, at = new Date()) {
+  const house = await findHouse(houseId);
+  const day = await houseFlockDay(houseId, house, at);
+  const profileId = house && house.thresholdProfileId;
+
+  if (!profileId) {
+    return { profileId: null, flockDay: day, ...DEFAULT_THRESHOLDS };
+  }
+
+  const cacheKey = `threshold_profile_${profileId}`;
+  let profile = cache.get(cacheKey);
+  if (!profile) {
+    profile = await ThresholdProfile.findOne({ profileId }).lean();
+    if (profile) cache.set(cacheKey, profile);
+  }
+  if (!profile) {
+    console.warn(
+      `⚠️ [${houseId}] Missing threshold profile ${profileId}, using defaults`
+    );
+    return { profileId: null, flockDay: day, ...DEFAULT_THRESHOLDS };
+  }
+
+  return { profileId, flockDay: day, ...thresholdsForDay(profile, day) };
+}
+
+// ===== HELPER: Alert incidents (dedupe, escalate, reopen, auto-resolve) =====
+const ALERT_TYPE_RANK = { info: 0, warning: 1, critical: 2, fault: 3 };
+
+// Folds one rule hit into the house's incident for that condition.
+// Returns { alert, status }: created | reopened | escalated | updated.
+async function upsertIncident(hit) {
+  const { houseId, condition } = hit;
+  const seenAt = hit.createdAt || new Date();
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const open = await Alert.findOneAndUpdate(
+      { houseId, condition, isOpen: true },
+      {
+        $max: {
+          lastSeenAt: seenAt,
+          ...(hit.score != null && { score: hit.score }),
+        },
+        $inc: { occurrences: 1 },
+      },
+      { returnDocument: "after" }
+    );
+    if (open) {
+      // Escalate (never downgrade) while the incident stays open
+      if (ALERT_TYPE_RANK[hit.type] > ALERT_TYPE_RANK[open.type]) {
+        open.type = hit.type;
+        open.severity = hit.severity;
+        open.message = hit.message;
+        await open.save();
+        return { alert: open, status: "escalated" };
+      }
+      return { alert: open, status: "updated" };
+    }
+
+    try {
+      const cooldownStart = new Date(
+        seenAt.getTime() - ALERT_REOPEN_COOLDOWN_MINUTES * 60 * 1000
+      );
+      const reopened = await Alert.findOneAndUpdate(
+        {
+          houseId,
+          condition,
+          isOpen: false,
+          resolvedAt: { $gte: cooldownStart },
+        },
+        {
+          $set: {
+            state: "open",
+            isOpen: true,
+            type: hit.type,
+            severity: hit.severity,
+            message: hit.message,
+            score: hit.score ?? null,
+            lastSeenAt: seenAt,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            resolvedAt: null,
+            resolvedBy: null,
+          },
+          $inc: { occurrences: 1, reopenCount: 1 },
+        },
+        { sort: { resolvedAt: -1 }, returnDocument: "after" }
+      );
+      if (reopened) return { alert: reopened, status: "reopened" };
+
+      const created = await Alert.create({
+        ...hit,
+        firstSeenAt: seenAt,
+        lastSeenAt: seenAt,
+      });
+      return { alert: created, status: "created" };
+    } catch (err) {
+      // Another reading opened the incident first; fold into that one
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  throw new Error(`Could not record incident ${houseId}/${condition}`);
+}
+
+async function recordAlerts(hits) {
+  const results = [];
+  for (const hit of hits) results.push(await upsertIncident(hit));
+  return results;
+}
+
+// Resolves rules-engine and anomaly-detector incidents whose condition has
+// stayed normal for ALERT_RESOLVE_AFTER_MINUTES, judged against the
+// reading just ingested
+async function resolveClearedIncidents(houseId, activeConditions, at) {
+  const cutoff = new Date(at.getTime() - ALERT_RESOLVE_AFTER_MINUTES * 60000);
+  const cleared = await Alert.find({
+    houseId,
+    isOpen: true,
+    source: { $in: ["ml-derived-rules", "anomaly-detector"] },
+    condition: { $nin: activeConditions },
+    lastSeenAt: { $lte: cutoff },
+  });
+
+  for (const alert of cleared) {
+    alert.state = "resolved";
+    alert.isOpen = false;
+    alert.resolvedAt = at;
+    alert.resolvedBy = "auto";
+    alert.resolveNote = `Normal for ${ALERT_RESOLVE_AFTER_MINUTES} min`;
+    await alert.save();
+  }
+  return cleared;
+}
+
+// Closes the open incident for a condition that is no longer true
+async function autoResolveIncident(houseId, condition, at, note) {
+  return Alert.findOneAndUpdate(
+    { houseId, condition, isOpen: true },
+    {
+      $set: {
+        state: "resolved",
+        isOpen: false,
+        resolvedAt: at,
+        resolvedBy: "auto",
+        resolveNote: note,
+      },
+    },
+    { returnDocument: "after" }
+  );
+}
+
+// ===== NOTIFICATION DISPATCHER =====
+// New, reopened and escalated incidents notify; repeat hits stay quiet
+const NOTIFY_STATUSES = ["created", "reopened", "escalated"];
+
+let mailTransport = null;
+function getMailTransport() {
+  if (!mailTransport) {
+    if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST is not set");
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return mailTransport;
+}
+
+async function postJson(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+}
+
+// Channel adapters: (delivery, recipient) => Promise. Add a key here to
+// plug in another channel.
+const notificationChannels = {
+  webhook: async (delivery, recipient) => {
+    const body = {
+      subject: delivery.subject,
+      text: delivery.text,
+      ...delivery.payload,
+    };
+    const headers = {};
+    if (recipient && recipient.secret) {
+      headers["X-Poultry-Signature"] = crypto
+        .createHmac("sha256", recipient.secret)
+        .update(JSON.stringify(body))
+        .digest("hex");
+    }
+    await postJson(delivery.target, body, headers);
+  },
+  email: async (delivery) => {
+    await getMailTransport().sendMail({
+      from: process.env.NOTIFY_EMAIL_FROM || "poultry-backend@localhost",
+      to: delivery.target,
+      subject: delivery.subject,
+      text: delivery.text,
+    });
+  },
+  sms: async (delivery) => {
+    if (!process.env.SMS_GATEWAY_URL) {
+      throw new Error("SMS_GATEWAY_URL is not set");
+    }
+    const headers = process.env.SMS_GATEWAY_TOKEN
+      ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` }
+      : {};
+    await postJson(
+      process.env.SMS_GATEWAY_URL,
+      { to: delivery.target, message: delivery.text },
+      headers
+    );
+  },
+};
+
+function minutesOfDay(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+// Wall-clock view of `now` in REPORT_TIMEZONE: date key, weekday (0 = Sun)
+// and minutes since local midnight
+function localClock(now = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: REPORT_TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now);
+  const get = (type) => parts.find((p) => p.type === type).value;
+  const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+  return {
+    dateKey: `${get("year")}-${get("month")}-${get("day")}`,
+    weekday: weekdays.indexOf(get("weekday")),
+    minutes: Number(get("hour")) * 60 + Number(get("minute")),
+  };
+}
+
+// True when nowMin falls in [start, end), wrapping past midnight
+function inDailyWindow(nowMin, start, end) {
+  return start <= end
+    ? nowMin >= start && nowMin < end
+    : nowMin >= start || nowMin < end;
+}
+
+// Minutes until quiet hours end, or 0 when outside them
+function quietMinutesLeft(quietHours, now = new Date()) {
+  if (!quietHours || !quietHours.enabled) return 0;
+
+  const nowMin = localClock(now).minutes;
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  return inDailyWindow(nowMin, start, end) ? (end - nowMin + 1440) % 1440 : 0;
+}
+
+function formatAlertNotification(alert, level) {
+  const escalated = level > 0 ? ` [ESCALATION ${level}]` : "";
+  const subject = `[${alert.houseId}] ${alert.type.toUpperCase()}${escalated}: ${alert.message}`;
+  const text = `${subject}\nCondition: ${alert.condition || "-"} | Seen ${
+    alert.occurrences || 1
+  }x since ${new Date(alert.firstSeenAt || alert.createdAt).toISOString()}`;
+  return {
+    subject,
+    text,
+    payload: {
+      event: "alert",
+      level,
+      alert: {
+        id: String(alert._id),
+        houseId: alert.houseId,
+        type: alert.type,
+        category: alert.category,
+        condition: alert.condition,
+        message: alert.message,
+        state: alert.state,
+        firstSeenAt: alert.firstSeenAt,
+        lastSeenAt: alert.lastSeenAt,
+      },
+    },
+  };
+}
+
+async function getNotificationPolicy(houseId) {
+  const cacheKey = `notify_policy_${houseId}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const policy = await NotificationPolicy.findOne({ houseId }).lean();
+  if (policy) cache.set(cacheKey, policy);
+  return policy;
+}
+
+// Queues one delivery per matching recipient at the given escalation level.
+// Alerts below the quiet-hours threshold are deferred until quiet hours end.
+async function queueNotificationsAt(alert, level) {
+  const policy = await getNotificationPolicy(alert.houseId);
+  if (!policy) return 0;
+
+  const recipients = policy.recipients.filter(
+    (r) =>
+      r.active &&
+      r.level === level &&
+      ALERT_TYPE_RANK[alert.type] >= ALERT_TYPE_RANK[r.minType]
+  );
+
+  // Recorded even when nobody matches, so escalation keeps its clock
+  await Alert.updateOne(
+    { _id: alert._id },
+    { $set: { notifyLevel: level, lastNotifiedAt: new Date() } }
+  );
+  if (recipients.length === 0) return 0;
+
+  const quietLeft = quietMinutesLeft(policy.quietHours);
+  const deferred =
+    quietLeft > 0 &&
+    ALERT_TYPE_RANK[alert.type] < ALERT_TYPE_RANK[policy.quietHours.minType];
+  const when = new Date(Date.now() + (deferred ? quietLeft * 60000 : 0));
+
+  const message = formatAlertNotification(alert, level);
+  await NotificationDelivery.insertMany(
+    recipients.map((r) => ({
+      houseId: alert.houseId,
+      alertId: alert._id,
+      channel: r.channel,
+      target: r.target,
+      level,
+      ...message,
+      status: deferred ? "deferred" : "pending",
+      nextAttemptAt: when,
+    }))
+  );
+  return recipients.length;
+}
+
+// Fire-and-forget entry point used by the rules engine
+function queueAlertNotifications(alert) {
+  queueNotificationsAt(alert, 0)
+    .then((count) => count > 0 && processDeliveries())
+    .catch((err) => console.error("⚠️ Notification queue error:", err.message));
+}
+
+function recipientFor(policy, delivery) {
+  return (
+    policy &&
+    policy.recipients.find(
+      (r) => r.channel === delivery.channel && r.target === delivery.target
+    )
+  );
+}
+
+let deliveriesRunning = false;
+
+// Sends due deliveries with exponential backoff (30s, 60s, 120s, ...).
+// Deliveries for alerts that were acknowledged or resolved meanwhile are
+// skipped, except test messages (no alertId).
+async function processDeliveries() {
+  if (deliveriesRunning) return;
+  deliveriesRunning = true;
+
+  try {
+    for (;;) {
+      const delivery = await NotificationDelivery.findOneAndUpdate(
+        {
+          status: { $in: ["pending", "deferred"] },
+          nextAttemptAt: { $lte: new Date() },
+        },
+        { $set: { status: "sending" } },
+        { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+      );
+      if (!delivery) break;
+
+      if (delivery.alertId) {
+        const alert = await Alert.findById(delivery.alertId).lean();
+        const stillOpen = alert && alert.isOpen;
+        const unacked = alert && alert.state === "open";
+        if (!stillOpen || (delivery.level > 0 && !unacked)) {
+          delivery.status = "skipped";
+          delivery.lastError = "Alert no longer needs attention";
+          await delivery.save();
+          continue;
+        }
+      }
+
+      const adapter = notificationChannels[delivery.channel];
+      delivery.attempts += 1;
+      try {
+        if (!adapter) throw new Error(`No adapter for ${delivery.channel}`);
+        const policy = await getNotificationPolicy(delivery.houseId);
+        await adapter(delivery, recipientFor(policy, delivery));
+
+        delivery.status = "sent";
+        delivery.sentAt = new Date();
+        delivery.lastError = null;
+      } catch (err) {
+        delivery.lastError = err.message;
+        if (delivery.attempts >= NOTIFY_MAX_ATTEMPTS) {
+          delivery.status = "failed";
+          console.error(
+            `📣❌ [${delivery.houseId}] ${delivery.channel} to ${delivery.target} failed: ${err.message}`
+          );
+        } else {
+          delivery.status = "pending";
+          delivery.nextAttemptAt = new Date(
+            Date.now() + 30000 * 2 ** (delivery.attempts - 1)
+          );
+        }
+      }
+      await delivery.save();
+    }
+  } catch (err) {
+    console.error("⚠️ Notification delivery error:", err.message);
+  } finally {
+    deliveriesRunning = false;
+  }
+}
+
+// Escalates open, unacknowledged incidents to the next recipient level once
+// escalateAfterMinutes pass without an acknowledgement
+async function escalateUnacknowledged() {
+  const policies = await NotificationPolicy.find({
+    "recipients.level": { $gt: 0 },
+  }).lean();
+
+  for (const policy of policies) {
+    const maxLevel = Math.max(...policy.recipients.map((r) => r.level));
+    const cutoff = new Date(Date.now() - policy.escalateAfterMinutes * 60000);
+    const stale = await Alert.find({
+      houseId: policy.houseId,
+      isOpen: true,
+      state: "open",
+      notifyLevel: { $lt: maxLevel },
+      lastNotifiedAt: { $ne: null, $lte: cutoff },
+    }).lean();
+
+    for (const alert of stale) {
+      const level = alert.notifyLevel + 1;
+      const queued = await queueNotificationsAt(alert, level);
+      console.log(
+        `📣⏫ [${alert.houseId}] Alert ${alert._id} escalated to level ${level} (${queued} recipient(s))`
+      );
+    }
+  }
+}
+
+// ===== HELPER: Control audit log =====
+function snapshotControl(control) {
+  const snapshot = {};
+  for (const dev of ACTUATORS) {
+    const device = control[dev] || {};
+    snapshot[dev] = {
+      mode: device.mode ?? null,
+      state: device.state ?? null,
+      duty: device.duty ?? null,
+    };
+  }
+  return snapshot;
+}
+
+// Writes one record per device whose mode or state differs between the two
+// snapshots; meta.detail is a string or a per-device map. A failed write is
+// logged, the control change itself stands.
+async function recordControlAudit(houseId, before, after, meta) {
+  const createdAt = new Date();
+  const records = ACTUATORS.filter(
+    (dev) =>
+      before[dev].mode !== after[dev].mode ||
+      before[dev].state !== after[dev].state
+  ).map((dev) => ({
+    houseId,
+    device: dev,
+    previous: before[dev],
+    next: after[dev],
+    actor: meta.actor || "system",
+    source: meta.source,
+    detail:
+      (typeof meta.detail === "object" && meta.detail
+        ? meta.detail[dev]
+        : meta.detail) || null,
+    createdAt,
+  }));
+  if (records.length === 0) return records;
+
+  try {
+    await ControlAudit.insertMany(records);
+  } catch (err) {
+    console.error(`⚠️ [${houseId}] Control audit write failed:`, err.message);
+  }
+  return records;
+}
+
+// Saves a control doc changed since `before` (a snapshotControl), audits
+// the change and pushes it to stream clients
+async function commitControl(control, before, meta, event = {}) {
+  const after = snapshotControl(control);
+  const changed = ACTUATORS.filter(
+    (dev) =>
+      before[dev].mode !== after[dev].mode ||
+      before[dev].state !== after[dev].state ||
+      before[dev].duty !== after[dev].duty
+  );
+  if (changed.length) control.version = (control.version || 0) + 1;
+
+  control.updatedAt = new Date();
+  await control.save();
+  invalidateControlCache(control.houseId);
+
+  await clearShadowDrift(control.houseId, changed);
+  await recordControlAudit(control.houseId, before, after, meta);
+  await recordRuntime(
+    control.houseId,
+    controlObservations(control, changed),
+    control.updatedAt,
+    "control"
+  );
+  publishEvent(control.houseId, "control", {
+    ...event,
+    control: control.toObject(),
+  });
+}
+
+// ===== HELPER: Device shadow (desired vs reported state) =====
+const ACTUATOR_LABELS = {
+  light: "Light",
+  fan_positive: "Intake fan",
+  fan_negative: "Exhaust fan",
+  pressure_washer: "Pressure washer",
+};
+
+function onOff(value) {
+  return String(value).toUpperCase() === "ON" ? "ON" : "OFF";
+}
+
+// Actuator states carried by an ingest body; fans count as ON at any duty
+function actuatorReports(body) {
+  const reports = {};
+  const fans = [
+    ["fan_positive", body.fanIntakeDuty],
+    ["fan_negative", body.fanExhaustDuty],
+  ];
+  for (const [dev, duty] of fans) {
+    if (duty == null || !Number.isFinite(Number(duty))) continue;
+    reports[dev] = {
+      state: Number(duty) > 0 ? "ON" : "OFF",
+      duty: Number(duty),
+    };
+  }
+  if (body.lightStatus) reports.light = { state: onOff(body.lightStatus) };
+  if (body.pressureWasherStatus) {
+    reports.pressure_washer = { state: onOff(body.pressureWasherStatus) };
+  }
+  return reports;
+}
+
+// A new command restarts the drift clock for the devices it touched
+async function clearShadowDrift(houseId, devices = ACTUATORS) {
+  if (devices.length === 0) return;
+  const filter = houseId ? { houseId } : {};
+  await DeviceShadow.updateMany(filter, {
+    $set: Object.fromEntries(devices.map((dev) => [`${dev}.driftSince`, null])),
+  });
+}
+
+// Devices whose desired state the server decides: forced ones, and AUTO
+// ones the server engine (or a photoperiod schedule, for the light) runs.
+// Otherwise the firmware decides and the stored state is only a default.
+async function serverOwnedDevices(houseId, control) {
+  const config = await getAutoControlConfig(houseId);
+  const photoperiod =
+    control.light.mode === "AUTO" &&
+    (await Schedule.exists({ houseId, kind: "photoperiod", enabled: true }));
+
+  return ACTUATORS.filter((dev) => {
+    if (control[dev].mode !== "AUTO") return true;
+    if (FAN_DEVICES.includes(dev)) return config.enabled;
+    if (dev === "light") return config.enabled || Boolean(photoperiod);
+    return false;
+  });
+}
+
+// Stores what an MCU reported for its actuators ({ dev: { state, duty } })
+// and compares it with the desired state. Returns incident results for
+// drift alerts raised or resolved.
+async function reportDeviceState(houseId, deviceId, reports, version, at) {
+  const devices = Object.keys(reports);
+  if (devices.length === 0) return [];
+
+  const control =
+    (await getControlStateForRead(houseId)) || defaultControlDoc(houseId);
+  const owned = await serverOwnedDevices(houseId, control);
+  const shadow = await DeviceShadow.findOneAndUpdate(
+    { houseId },
+    { $setOnInsert: { houseId } },
+    { upsert: true, returnDocument: "after" }
+  );
+
+  const echoed =
+    version != null && Number.isInteger(Number(version))
+      ? Number(version)
+      : null;
+  for (const dev of devices) {
+    const reported = shadow[dev];
+    reported.state = reports[dev].state;
+    reported.duty = reports[dev].duty ?? null;
+    reported.version = echoed;
+    reported.deviceId = deviceId;
+    reported.reportedAt = at;
+
+    if (!owned.includes(dev) || reported.state === control[dev].state) {
+      reported.driftSince = null;
+    } else if (!reported.driftSince) {
+      reported.driftSince = at;
+    }
+  }
+  await shadow.save();
+
+  return checkShadowDrift(shadow, control, devices, at);
+}
+
+async function checkShadowDrift(shadow, control, devices, at) {
+  const results = [];
+  for (const dev of devices) {
+    const reported = shadow[dev];
+    const condition = `shadow_drift_${dev}`;
+    const driftMs = reported.driftSince ? at - reported.driftSince : 0;
+
+    if (reported.driftSince && driftMs >= SHADOW_DRIFT_SECONDS * 1000) {
+      // A washer that will not switch off is a safety problem
+      const type = dev === "pressure_washer" ? "critical" : "warning";
+      results.push(
+        await upsertIncident({
+          houseId: shadow.houseId,
+          type,
+          condition,
+          category: "mechanical",
+          severity: type === "warning" ? "medium" : "high",
+          message: `Device Out of Sync: ${ACTUATOR_LABELS[dev]} commanded ${control[dev].state} but reporting ${reported.state} for ${Math.round(driftMs / 1000)}s.`,
+          source: "device-shadow",
+          createdAt: at,
+        })
+      );
+    } else if (!reported.driftSince) {
+      const alert = await autoResolveIncident(
+        shadow.houseId,
+        condition,
+        at,
+        "Reported state back in sync"
+      );
+      if (alert) results.push({ alert, status: "resolved" });
+    }
+  }
+  return results;
+}
+
+// Desired vs reported for every actuator of a house
+// owned: serverOwnedDevices; drift is only judged for those
+function describeShadow(control, shadow, owned, now = new Date()) {
+  const devices = {};
+  for (const dev of ACTUATORS) {
+    const reported = (shadow && shadow[dev]) || {};
+    devices[dev] = {
+      desired: {
+        mode: control[dev].mode,
+        state: control[dev].state,
+        duty: control[dev].duty ?? null,
+      },
+      reported: {
+        state: reported.state ?? null,
+        duty: reported.duty ?? null,
+        version: reported.version ?? null,
+        deviceId: reported.deviceId ?? null,
+        reportedAt: reported.reportedAt ?? null,
+      },
+      acknowledged: reported.version === (control.version || 0),
+      serverOwned: owned.includes(dev),
+      inSync: !owned.includes(dev) || reported.state === control[dev].state,
+      driftSince: reported.driftSince ?? null,
+      driftSeconds: reported.driftSince
+        ? Math.round((now - reported.driftSince) / 1000)
+        : 0,
+    };
+  }
+  return { version: control.version || 0, devices };
+}
+
+// ===== HELPER: Device heartbeat & offline watchdog =====
+const HEARTBEAT_WRITE_SECONDS = 15;
+
+function offlineAfterMs(device) {
+  return (device.offlineAfterSeconds || DEVICE_OFFLINE_SECONDS) * 1000;
+}
+
+// Records that a registered device checked in (writes are throttled per
+// device). A device the watchdog had flagged comes back online here.
+// Never throws, so callers need not await it.
+async function markDeviceSeen(deviceId, via, at = new Date()) {
+  if (!deviceId) return;
+  const throttleKey = `device_seen_${deviceId}`;
+  if (cache.get(throttleKey)) return;
+  cache.set(throttleKey, true, HEARTBEAT_WRITE_SECONDS);
+
+  try {
+    const previous = await Device.findOneAndUpdate(
+      { deviceId },
+      { $set: { lastSeenAt: at, lastSeenVia: via, offlineSince: null } },
+      { returnDocument: "before" }
+    ).lean();
+    if (!previous || !previous.offlineSince) return;
+
+    console.log(`📶 [${previous.houseId}] Device ${deviceId} back online`);
+    const alert = await autoResolveIncident(
+      previous.houseId,
+      `device_offline_${deviceId}`,
+      at,
+      `Back online (${via})`
+    );
+    if (alert) {
+      publishEvent(previous.houseId, "alert", {
+        status: "resolved",
+        ...alert.toObject(),
+      });
+    }
+  } catch (err) {
+    console.error(`⚠️ Heartbeat update failed for ${deviceId}:`, err.message);
+  }
+}
+
+function deviceStatus(device, now = new Date()) {
+  if (!device.active) return "inactive";
+  if (!device.lastSeenAt) return "never_seen";
+  if (
+    device.offlineSince ||
+    now - device.lastSeenAt >= offlineAfterMs(device)
+  ) {
+    return "offline";
+  }
+  return "online";
+}
+
+// Flags active devices that have gone silent and opens a critical incident
+// for each; they resolve in markDeviceSeen when the device returns
+async function checkDeviceHeartbeats(now = new Date()) {
+  const devices = await Device.find({
+    active: true,
+    lastSeenAt: { $ne: null },
+    offlineSince: null,
+  }).lean();
+
+  for (const device of devices) {
+    if (now - device.lastSeenAt < offlineAfterMs(device)) continue;
+
+    // Conditional, so a heartbeat landing in between wins
+    const flagged = await Device.findOneAndUpdate(
+      { _id: device._id, offlineSince: null, lastSeenAt: device.lastSeenAt },
+      { $set: { offlineSince: now } }
+    );
+    if (!flagged) continue;
+
+    const silentMinutes = Math.round((now - device.lastSeenAt) / 60000);
+    console.log(
+      `📵 [${device.houseId}] Device ${device.deviceId} offline (silent ${silentMinutes} min)`
+    );
+
+    const { alert, status } = await upsertIncident({
+      houseId: device.houseId,
+      type: "critical",
+      condition: `device_offline_${device.deviceId}`,
+      category: "mechanical",
+      severity: "high",
+      message: `Device Offline: ${device.name || device.deviceId} (${device.type}) silent since ${device.lastSeenAt.toISOString()}.`,
+      source: "device-watchdog",
+      createdAt: now,
+    });
+    publishEvent(device.houseId, "alert", { status, ...alert.toObject() });
+    if (NOTIFY_STATUSES.includes(status)) queueAlertNotifications(alert);
+  }
+}
+
+// ===== HELPER: Pressure washer timer =====
+// Sets the washer ON with its timer fields; the caller schedules the
+// auto-OFF revert job once the control doc is saved
+function startWasherTimer(control, durationSeconds, now = new Date()) {
+  const expires = new Date(now.getTime() + durationSeconds * 1000);
+  const pw = control.pressure_washer;
+
+  pw.mode = "FORCE_ON";
+  pw.state = "ON";
+  pw.timerDuration = durationSeconds;
+  pw.timerStartedAt = now;
+  pw.timerExpiresAt = expires;
+
+  console.log(
+    `🚿 [${control.houseId}] Pressure washer ON — auto-OFF in ${durationSeconds}s at ${expires.toISOString()}`
+  );
+}
+
+// ===== TIMED OVERRIDES (persistent revert jobs) =====
+// Each pending job gets an in-process timer; jobs survive restarts because
+// loadScheduledJobs re-arms them (overdue ones fire straight away). The
+// sweep backs the timers up: it fires jobs whose timer was lost and retries
+// failed ones (washer safety timers until they succeed).
+const jobTimers = new Map();
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const JOB_SWEEP_GRACE_MS = 5000;
+const JOB_MAX_ATTEMPTS = 5;
+
+function armJob(job) {
+  const id = String(job._id);
+  clearTimeout(jobTimers.get(id));
+
+  const delay = new Date(job.runAt).getTime() - Date.now();
+  const handle =
+    delay > MAX_TIMER_MS
+      ? setTimeout(() => armJob(job), MAX_TIMER_MS)
+      : setTimeout(() => fireJob(id), Math.max(delay, 0));
+  jobTimers.set(id, handle);
+}
+
+function disarmJob(jobId) {
+  const id = String(jobId);
+  clearTimeout(jobTimers.get(id));
+  jobTimers.delete(id);
+}
+
+function snapshotDevice(device) {
+  return {
+    mode: device.mode,
+    state: device.state,
+    duty: device.duty ?? null,
+  };
+}
+
+async function scheduleRevert(
+  houseId,
+  device,
+  durationSeconds,
+  revertTo,
+  meta = {}
+) {
+  const job = await createRevertJob(
+    houseId,
+    device,
+    durationSeconds,
+    revertTo,
+    meta
+  );
+  armJob(job);
+  return job;
+}
+
+// Stores a revert job without arming it, for callers that must know it
+// exists before they commit the state it undoes
+function createRevertJob(houseId, device, durationSeconds, revertTo, meta) {
+  return ScheduledJob.create({
+    houseId,
+    device,
+    runAt: new Date(Date.now() + durationSeconds * 1000),
+    revertTo,
+    reason: meta.reason || "timed-override",
+    createdBy: meta.createdBy || null,
+  });
+}
+
+// Cancels pending reverts for the given devices and returns them, so a new
+// timed command can inherit the original revert target
+async function cancelPendingReverts(houseId, devices) {
+  // Failed jobs awaiting a retry are superseded too
+  const filter = { houseId, status: { $in: ["pending", "failed"] } };
+  if (devices) filter.device = { $in: devices };
+
+  const jobs = await ScheduledJob.find(filter).lean();
+  if (jobs.length === 0) return jobs;
+
+  jobs.forEach((job) => disarmJob(job._id));
+  await ScheduledJob.updateMany(
+    {
+      _id: { $in: jobs.map((job) => job._id) },
+      status: { $in: ["pending", "failed"] },
+    },
+    { $set: { status: "cancelled" } }
+  );
+  return jobs;
+}
+
+// Undoes cancelPendingReverts for a command that did not go through, and
+// drops the jobs that command had already stored
+async function restoreReverts(superseded, created) {
+  if (created.length > 0) {
+    await ScheduledJob.updateMany(
+      { _id: { $in: created.map((job) => job._id) } },
+      { $set: { status: "cancelled" } }
+    );
+  }
+  for (const job of superseded) {
+    await ScheduledJob.updateOne(
+      { _id: job._id, status: "cancelled" },
+      { $set: { status: job.status } }
+    );
+    if (job.status === "pending") armJob(job);
+  }
+}
+
+// Applies revertTo to the device through the same fields /api/control sets
+async function applyRevert(job) {
+  const control = await getControlState(job.houseId);
+  const before = snapshotControl(control);
+  const dev = job.device;
+
+  control[dev].mode = job.revertTo.mode;
+  setDeviceState(control, dev, job.revertTo.state, null);
+  if (FAN_DEVICES.includes(dev) && job.revertTo.duty != null) {
+    control[dev].duty = job.revertTo.duty;
+  }
+  if (dev === "pressure_washer") {
+    control.pressure_washer.timerDuration = 0;
+    control.pressure_washer.timerStartedAt = null;
+    control.pressure_washer.timerExpiresAt = null;
+  }
+
+  await commitControl(
+    control,
+    before,
+    {
+      source: job.reason === "washer-timer" ? "safety-timer" : "timed-override",
+      detail: `override ${job._id} set by ${job.createdBy || "system"} expired`,
+    },
+    {
+      reason: job.reason,
+      device: dev,
+      mode: job.revertTo.mode,
+      jobId: String(job._id),
+    }
+  );
+}
+
+// Never throws: it runs from bare timers. A job that can't be claimed stays
+// pending and a failed one stays failed, and the sweep picks either up.
+async function fireJob(jobId) {
+  jobTimers.delete(String(jobId));
+
+  try {
+    // Claim atomically so a cancel racing the timer can't double-apply
+    const job = await ScheduledJob.findOneAndUpdate(
+      { _id: jobId, status: { $in: ["pending", "failed"] } },
+      {
+        $set: { status: "running", firedAt: new Date() },
+        $inc: { attempts: 1 },
+      },
+      { returnDocument: "after" }
+    );
+    if (!job) return;
+
+    try {
+      await applyRevert(job);
+      job.status = "done";
+      job.error = null;
+      if (job.reason === "washer-timer") {
+        console.log(
+          `🚿⏱️ [${job.houseId}] Pressure washer AUTO-OFF: timer expired!`
+        );
+      } else {
+        console.log(
+          `⏱️ [${job.houseId}] ${job.device} reverted to ${job.revertTo.mode}`
+        );
+      }
+    } catch (err) {
+      job.status = "failed";
+      job.error = err.message;
+      console.error(
+        `⚠️ [${job.houseId}] Revert ${job._id} failed (attempt ${job.attempts}):`,
+        err.message
+      );
+    }
+    await job.save();
+  } catch (err) {
+    console.error(`⚠️ Scheduled job ${jobId} error:`, err.message);
+  }
+}
+
+// Gives every washer left ON with a timer but no live job a revert job of
+// its own (e.g. from the old polling timer, or a job lost to an error)
+async function adoptRunningWashers() {
+  const running = await ControlState.find({
+    "pressure_washer.state": "ON",
+    "pressure_washer.timerExpiresAt": { $ne: null },
+  }).lean();
+
+  const adopted = [];
+  for (const control of running) {
+    const hasJob = await ScheduledJob.exists({
+      houseId: control.houseId,
+      device: "pressure_washer",
+      status: { $in: ["pending", "running", "failed"] },
+    });
+    if (!hasJob) {
+      adopted.push(
+        await ScheduledJob.create({
+          houseId: control.houseId,
+          device: "pressure_washer",
+          runAt: control.pressure_washer.timerExpiresAt,
+          revertTo: { mode: "FORCE_OFF", state: "OFF" },
+          reason: "washer-timer",
+        })
+      );
+    }
+  }
+  return adopted;
+}
+
+// Periodic backstop for the in-process timers
+async function sweepScheduledJobs(now = new Date()) {
+  (await adoptRunningWashers()).forEach(armJob);
+
+  const due = await ScheduledJob.find({
+    $or: [
+      {
+        status: "pending",
+        runAt: { $lte: new Date(now.getTime() - JOB_SWEEP_GRACE_MS) },
+      },
+      { status: "failed", reason: "washer-timer" },
+      { status: "failed", attempts: { $lt: JOB_MAX_ATTEMPTS } },
+    ],
+  })
+    .select("_id")
+    .lean();
+
+  for (const { _id } of due) {
+    disarmJob(_id);
+    await fireJob(String(_id));
+  }
+}
+
+// Startup: re-arm pending jobs, requeue ones interrupted mid-run, and give
+// washers left ON by the old polling timer a revert job of their own
+async function loadScheduledJobs() {
+  try {
+    await ScheduledJob.updateMany(
+      { status: "running" },
+      { $set: { status: "pending" } }
+    );
+    await adoptRunningWashers();
+
+    const pending = await ScheduledJob.find({ status: "pending" }).lean();
+    pending.forEach(armJob);
+    console.log(`⏱️ ${pending.length} scheduled job(s) armed`);
+  } catch (err) {
+    console.error("⚠️ Scheduled job load error:", err.message);
+  }
+}
+
+// ===== SCHEDULER (photoperiods + recurring washer runs) =====
+// Washer runs missed by more than this (e.g. during downtime) are skipped
+const SCHEDULE_CATCH_UP_MINUTES = 10;
+
+function photoperiodStage(stages, day) {
+  const sorted = [...stages].sort((x, y) => x.fromDay - y.fromDay);
+  if (day == null) return sorted[sorted.length - 1];
+  return sorted.filter((stage) => stage.fromDay <= day).pop() || sorted[0];
+}
+
+function photoperiodWants(stage, nowMin) {
+  const on = minutesOfDay(stage.onTime);
+  const off = minutesOfDay(stage.offTime);
+  if (on === off) return "ON";
+  return inDailyWindow(nowMin, on, off) ? "ON" : "OFF";
+}
+
+async function logScheduleRun(schedule, action, result, detail) {
+  await ScheduleRun.create({
+    scheduleId: schedule._id,
+    houseId: schedule.houseId,
+    kind: schedule.kind,
+    action,
+    result,
+    detail,
+  });
+}
+
+// Photoperiod: keeps light.state on the schedule while the light is in AUTO.
+// FORCE_ON / FORCE_OFF from the dashboard take priority.
+async function applyPhotoperiod(schedule, clock, now) {
+  const house = await findHouse(schedule.houseId);
+  const day = await houseFlockDay(schedule.houseId, house, now);
+  const stage = photoperiodStage(schedule.photoperiod, day);
+  const want = photoperiodWants(stage, clock.minutes);
+
+  const control = await getControlState(schedule.houseId);
+  if (control.light.mode !== "AUTO" || control.light.state === want) return;
+
+  const before = snapshotControl(control);
+  const reason = `photoperiod ${stage.onTime}-${stage.offTime} (day ${day ?? "?"})`;
+  setDeviceState(control, "light", want, reason, now);
+  await commitControl(
+    control,
+    before,
+    { source: "schedule", actor: `schedule:${schedule._id}`, detail: reason },
+    {
+      reason: "schedule",
+      scheduleId: String(schedule._id),
+      device: "light",
+      state: want,
+    }
+  );
+  await logScheduleRun(schedule, `light ${want}`, "applied", reason);
+}
+
+// Washer: fires once per scheduled day, through the same timer fields
+// /api/control uses, plus the same auto-OFF revert job
+async function applyWasherSchedule(schedule, clock, now) {
+  const { daysOfWeek, time, durationSeconds } = schedule.washer;
+  if (daysOfWeek.length > 0 && !daysOfWeek.includes(clock.weekday)) return;
+
+  const late = clock.minutes - minutesOfDay(time);
+  if (late < 0 || schedule.lastRunKey === clock.dateKey) return;
+
+  schedule.lastRunKey = clock.dateKey;
+  schedule.lastRunAt = now;
+  await schedule.save();
+
+  if (late > SCHEDULE_CATCH_UP_MINUTES) {
+    await logScheduleRun(
+      schedule,
+      "washer ON",
+      "skipped",
+      `missed by ${late} min`
+    );
+    return;
+  }
+
+  const control = await getControlState(schedule.houseId);
+  if (control.pressure_washer.state === "ON") {
+    await logScheduleRun(schedule, "washer ON", "skipped", "washer already ON");
+    return;
+  }
+
+  await cancelPendingReverts(schedule.houseId, ["pressure_washer"]);
+  const before = snapshotControl(control);
+  startWasherTimer(control, durationSeconds, now);
+  await commitControl(
+    control,
+    before,
+    {
+      source: "schedule",
+      actor: `schedule:${schedule._id}`,
+      detail: `${durationSeconds}s washer run`,
+    },
+    {
+      reason: "schedule",
+      scheduleId: String(schedule._id),
+      device: "pressure_washer",
+      mode: "FORCE_ON",
+    }
+  );
+  await scheduleRevert(
+    schedule.houseId,
+    "pressure_washer",
+    durationSeconds,
+    { mode: "FORCE_OFF", state: "OFF" },
+    { reason: "washer-timer", createdBy: `schedule:${schedule._id}` }
+  );
+  await logScheduleRun(
+    schedule,
+    "washer ON",
+    "applied",
+    `${durationSeconds}s run`
+  );
+}
+
+async function runSchedules() {
+  const now = new Date();
+  const clock = localClock(now);
+  const schedules = await Schedule.find({ enabled: true });
+
+  for (const schedule of schedules) {
+    try {
+      if (schedule.kind === "photoperiod") {
+        await applyPhotoperiod(schedule, clock, now);
+      } else {
+        await applyWasherSchedule(schedule, clock, now);
+      }
+    } catch (err) {
+      console.error(
+        `⚠️ [${schedule.houseId}] Schedule ${schedule._id} error:`,
+        err.message
+      );
+      await logScheduleRun(schedule, schedule.kind, "error", err.message).catch(
+        () => {}
+      );
+    }
+  }
+}
+
+// ===== AUTO CONTROL ENGINE =====
+const FAN_DEVICES = ["fan_positive", "fan_negative"];
+
+function setDeviceState(control, dev, state, reason, now = new Date()) {
+  if (control[dev].state !== state) {
+    control[dev].state = state;
+    control[dev].changedAt = now;
+  }
+  if (reason !== null) {
+    control[dev].autoReason = reason;
+  }
+}
+
+// Honour minimum on/off times before a state flip
+function heldByMinTime(device, cfg, now) {
+  if (!device.changedAt) return false;
+  const heldFor = (now - new Date(device.changedAt)) / 1000;
+  const minHold = device.state === "ON" ? cfg.minOnSeconds : cfg.minOffSeconds;
+  return heldFor < minHold;
+}
+
+function clamp(value, lo, hi) {
+  return Math.min(Math.max(value, lo), hi);
+}
+
+// Desired fan state/duty from one reading. A dead temperature sensor
+// (0 / NaN) fails safe to full ventilation.
+function decideFans(reading, current, cfg) {
+  const t = Number(reading.temperature);
+  const h = Number(reading.humidity);
+  const a = Number(reading.ammonia);
+  const m = Number(reading.methane);
+
+  if (!t || Number.isNaN(t)) {
+    return {
+      state: "ON",
+      duty: cfg.maxDuty,
+      reason: "temp sensor fault: fail-safe",
+    };
+  }
+
+  const over = [];
+  if (t >= cfg.tempOn) over.push(`temp ${t}°C`);
+  if (h >= cfg.humidityOn) over.push(`hum ${h}%`);
+  if (a >= cfg.ammoniaOn) over.push(`NH3 ${a}ppm`);
+  if (m >= cfg.methaneOn) over.push(`CH4 ${m}ppm`);
+  const allClear =
+    t <= cfg.tempOff &&
+    h <= cfg.humidityOff &&
+    a <= cfg.ammoniaOff &&
+    m <= cfg.methaneOff;
+
+  let state = current;
+  let reason = "within hysteresis band";
+  if (over.length > 0) {
+    state = "ON";
+    reason = `above limit: ${over.join(", ")}`;
+  } else if (allClear) {
+    state = "OFF";
+    reason = "all metrics below off limits";
+  }
+
+  if (state === "OFF") return { state, duty: 0, reason };
+
+  const span = cfg.dutyTempHigh - cfg.dutyTempLow;
+  const ratio = span > 0 ? clamp((t - cfg.dutyTempLow) / span, 0, 1) : 1;
+  const gasHigh = a >= cfg.ammoniaOn || m >= cfg.methaneOn;
+  const duty = gasHigh
+    ? cfg.maxDuty
+    : Math.round(cfg.minDuty + ratio * (cfg.maxDuty - cfg.minDuty));
+  return { state, duty, reason };
+}
+
+function decideLight(reading, current, cfg) {
+  const lux = Number(reading.light);
+  if (Number.isNaN(lux)) return { state: current, reason: "no light reading" };
+  if (lux <= cfg.luxOn) return { state: "ON", reason: `dark (${lux} lux)` };
+  if (lux >= cfg.luxOff) return { state: "OFF", reason: `bright (${lux} lux)` };
+  return { state: current, reason: "within hysteresis band" };
+}
+
+async function getAutoControlConfig(houseId) {
+  const cacheKey = `auto_control_${houseId}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const config = (await AutoControlConfig.findOne({ houseId }).lean()) || {
+    houseId,
+    enabled: true,
+    ...DEFAULT_AUTO_CONTROL,
+  };
+  cache.set(cacheKey, config);
+  return config;
+}
+
+// Runs on every ingested reading. Only devices in AUTO are touched, so
+// FORCE_ON / FORCE_OFF from the dashboard always win. Fans are judged only
+// on readings with climate values and the light only on ones with lux (the
+// light MCU's stream). Returns the changes.
+async function runAutoControl(houseId, reading) {
+  const config = await getAutoControlConfig(houseId);
+  if (!config.enabled) return [];
+
+  const control = await getControlState(houseId);
+  const before = snapshotControl(control);
+  const now = new Date();
+  const changes = [];
+
+  const hasClimate = reading.temperature != null;
+  for (const dev of FAN_DEVICES) {
+    if (!hasClimate || control[dev].mode !== "AUTO") continue;
+
+    const current = control[dev].state;
+    const want = decideFans(reading, current, config.fan);
+    if (
+      want.state !== current &&
+      heldByMinTime(control[dev], config.fan, now)
+    ) {
+      continue;
+    }
+
+    const duty = want.state === "ON" ? want.duty : 0;
+    if (want.state !== current || control[dev].duty !== duty) {
+      changes.push({
+        device: dev,
+        from: current,
+        to: want.state,
+        duty,
+        reason: want.reason,
+      });
+    }
+    setDeviceState(control, dev, want.state, want.reason, now);
+    control[dev].duty = duty;
+  }
+
+  // An active photoperiod schedule owns the light while it is in AUTO;
+  // otherwise lights are judged only on a real lux value (the fan MCU's
+  // reading stores 0 when it carries none)
+  const photoperiod = await Schedule.exists({
+    houseId,
+    kind: "photoperiod",
+    enabled: true,
+  });
+  if (control.light.mode === "AUTO" && !photoperiod && reading.light != null) {
+    const current = control.light.state;
+    const want = decideLight(reading, current, config.light);
+    if (
+      want.state !== current &&
+      !heldByMinTime(control.light, config.light, now)
+    ) {
+      changes.push({
+        device: "light",
+        from: current,
+        to: want.state,
+        reason: want.reason,
+      });
+      setDeviceState(control, "light", want.state, want.reason, now);
+    }
+  }
+
+  if (changes.length === 0) return changes;
+
+  control.fanIntake = control.fan_positive.state;
+  control.fanExhaust = control.fan_negative.state;
+  await commitControl(
+    control,
+    before,
+    {
+      source: "auto-engine",
+      detail: Object.fromEntries(
+        changes.map((change) => [change.device, change.reason])
+      ),
+    },
+    { reason: "auto-engine", changes }
+  );
+  return changes;
+}
+
+// ===== ANOMALY RULES (threshold profiles + fan rules) =====
+// sensorFaults (from assessReadingQuality) become mechanical faults; fields
+// flagged bad on this reading are left out of the threshold rules
+function generateAlertsFromReading(
+  reading,
+  thresholds = DEFAULT_THRESHOLDS,
+  sensorFaults = []
+) {
+  const alerts = [];
+  const {
+    temperature,
+    humidity,
+    ammonia,
+    methane,
+    fanIntakeRpm,
+    fanExhaustRpm,
+    fanIntakeDuty,
+    fanExhaustDuty,
+    mode,
+    houseId,
+    createdAt,
+  } = reading;
+
+  const readingTime = createdAt || new Date();
+  const hid = houseId || DEFAULT_HOUSE_ID;
+  const modeStr = (mode || "AUTO").toString().trim().toUpperCase();
+  const isForceOff = modeStr === "FORCE_OFF";
+  const {
+    temperature: T,
+    humidity: H,
+    ammonia: NH3,
+    methane: CH4,
+    fan,
+    thi: THI = DEFAULT_THRESHOLDS.thi,
+    dewPoint: DP = DEFAULT_THRESHOLDS.dewPoint,
+    gasLoad: GAS = DEFAULT_THRESHOLDS.gasLoad,
+  } = thresholds;
+
+  // Data Normalization (Numbers)
+  const t = Number(temperature);
+  const h = Number(humidity);
+  const a = Number(ammonia);
+  const m = Number(methane);
+  const fiDuty = Number(fanIntakeDuty) || 0;
+  const fiRpm = Number(fanIntakeRpm) || 0;
+  const feDuty = Number(fanExhaustDuty) || 0;
+  const feRpm = Number(fanExhaustRpm) || 0;
+  const usable = (field) =>
+    !reading.quality ||
+    !UNUSABLE_QUALITY_FLAGS.includes(reading.quality[field]);
+  const tOk = usable("temperature");
+  const hOk = usable("humidity");
+  const aOk = usable("ammonia");
+  const mOk = usable("methane");
+  // Derived metrics are null when an input was unusable
+  const thi = reading.thi;
+  const dp = reading.dewPoint;
+  const gas = reading.gasLoad;
+
+  // One alert per breached condition so repeats fold into one incident
+  const PREFIX = {
+    fault: "Hardware Fault",
+    critical: "Critical Condition",
+    warning: "Warning",
+  };
+  const raise = (type, condition, label, category = "environment") =>
+    alerts.push({
+      houseId: hid,
+      type,
+      condition,
+      category,
+      severity: type === "warning" ? "medium" : "high",
+      message: `${PREFIX[type]}: ${label}.`,
+      source: "ml-derived-rules",
+      createdAt: readingTime,
+    });
+
+  // ============================================================
+  // 1. FAULT DETECTION (Priority 1 - Class 3)
+  // ============================================================
+  const intakeStall = !isForceOff && fiDuty > 0 && fiRpm <= 0;
+  const exhaustStall = !isForceOff && feDuty > 0 && feRpm <= 0;
+  const tempSensorFault = t === 0; // Imposibleng 0°C sa PH farm, likely sira ang DHT22
+
+  const faults = [
+    [intakeStall, "intake_fan_stall", "Intake Fan Stall"],
+    [exhaustStall, "exhaust_fan_stall", "Exhaust Fan Stall"],
+    [tempSensorFault, "temp_sensor_fault", "Temp Sensor Error (0°C)"],
+  ];
+  for (const [hit, condition, label] of faults) {
+    if (hit) raise("fault", condition, label, "mechanical");
+  }
+  for (const { field, flag, samples } of sensorFaults) {
+    raise(
+      "fault",
+      `sensor_fault_${field}`,
+      `${field} sensor ${flag} for ${samples} readings`,
+      "mechanical"
+    );
+  }
+
+  // ============================================================
+  // 2. CRITICAL CONDITIONS (Priority 2 - Class 2)
+  // ============================================================
+  // Note: t > 0 para hindi mag-overlap sa Fault logic
+  const tempCritical =
+    tOk && ((t > 0 && t < T.criticalLow) || t > T.criticalHigh);
+  const humCritical = hOk && (h < H.criticalLow || h > H.criticalHigh);
+  const nh3Critical = aOk && a > NH3.criticalHigh;
+  const ch4Critical = mOk && m > CH4.criticalHigh;
+  const thiCritical = thi != null && thi > THI.criticalHigh;
+  const dpCritical = dp != null && dp > DP.criticalHigh;
+  const gasCritical = gas != null && gas > GAS.criticalHigh;
+
+  const criticals = [
+    [tempCritical, "temperature", `Extreme Temp (${t.toFixed(1)}°C)`],
+    [humCritical, "humidity", `Extreme Hum (${h.toFixed(1)}%)`],
+    [nh3Critical, "ammonia", `High Ammonia (${a.toFixed(1)}ppm)`],
+    [ch4Critical, "methane", `High Methane (${m.toFixed(1)}ppm)`],
+    [thiCritical, "thi", `Severe Heat Stress (THI ${thi})`],
+    [dpCritical, "dew_point", `High Dew Point (${dp}°C)`],
+    [gasCritical, "gas_load", `High Gas Load (${gas})`],
+  ];
+  for (const [hit, condition, label] of criticals) {
+    if (hit) raise("critical", condition, label);
+  }
+
+  // ============================================================
+  // 3. WARNING CONDITIONS (Priority 3 - Class 1)
+  // ============================================================
+  const tempWarning =
+    tOk && !tempCritical && t !== 0 && (t < T.warningLow || t > T.warningHigh);
+  const humWarning =
+    hOk && !humCritical && (h < H.warningLow || h > H.warningHigh);
+  const nh3Warning = aOk && !nh3Critical && a > NH3.warningHigh;
+  const ch4Warning = mOk && !ch4Critical && m > CH4.warningHigh;
+  const thiWarning = thi != null && !thiCritical && thi > THI.warningHigh;
+  const dpWarning = dp != null && !dpCritical && dp > DP.warningHigh;
+  const gasWarning = gas != null && !gasCritical && gas > GAS.warningHigh;
+  const fanDegraded =
+    !isForceOff &&
+    ((fiDuty >= fan.minDuty && fiRpm > 0 && fiRpm < fan.minRpm) ||
+      (feDuty >= fan.minDuty && feRpm > 0 && feRpm < fan.minRpm));
+
+  const warnings = [
+    [tempWarning, "temperature", `Temp unstable (${t.toFixed(1)}°C)`],
+    [humWarning, "humidity", `Hum unstable (${h.toFixed(1)}%)`],
+    [nh3Warning, "ammonia", `Ammonia rising (${a.toFixed(1)}ppm)`],
+    [ch4Warning, "methane", `Methane rising (${m.toFixed(1)}ppm)`],
+    [thiWarning, "thi", `Heat stress (THI ${thi})`],
+    [dpWarning, "dew_point", `Dew point high (${dp}°C)`],
+    [gasWarning, "gas_load", `Gas load rising (${gas})`],
+  ];
+  for (const [hit, condition, label] of warnings) {
+    if (hit) raise("warning", condition, label);
+  }
+  if (fanDegraded) raise("warning", "fan_rpm_low", "Low fan RPM", "mechanical");
+
+  // NOTE: Walang alert record para sa Normal (Class 0) para tipid sa database.
+  return alerts;
+}
+
+// ===== ANOMALY DETECTOR (EWMA baselines + trends) =====
+// minStd keeps a very steady baseline from flagging tiny wobbles; trend is
+// the largest move allowed within TREND_WINDOW_MINUTES (gases rising only)
+const ANOMALY_METRICS = {
+  temperature: { unit: "°C", minStd: 0.3, trend: 3, direction: "both" },
+  humidity: { unit: "%", minStd: 1, trend: 15, direction: "both" },
+  ammonia: { unit: "ppm", minStd: 0.5, trend: 5, direction: "up" },
+  methane: { unit: "ppm", minStd: 0.3, trend: 2, direction: "up" },
+};
+const TREND_WINDOW_MINUTES = 30;
+const TREND_MIN_SPAN_MINUTES = 20;
+const METRIC_LABELS = {
+  temperature: "Temperature",
+  humidity: "Humidity",
+  ammonia: "Ammonia",
+  methane: "Methane",
+};
+
+const BASELINE_WRITE_ATTEMPTS = 3;
+
+// Scores one reading against the house baselines, then folds it in.
+// Returns alert hits (source "anomaly-detector") for recordAlerts; never
+// throws, so a baseline problem cannot fail the ingest that called it.
+async function detectAnomalies(reading) {
+  const houseId = reading.houseId || DEFAULT_HOUSE_ID;
+  try {
+    const at = reading.createdAt || new Date();
+    const hits = [];
+    for (const [metric, rule] of Object.entries(ANOMALY_METRICS)) {
+      const value = Number(reading[metric]);
+      const flag = reading.quality && reading.quality[metric];
+      if (!Number.isFinite(value) || (flag && flag !== "ok")) continue;
+
+      const found = await foldMetricBaseline(houseId, metric, rule, value, at);
+      for (const [condition, score, message] of found) {
+        hits.push({
+          houseId,
+          type: "warning",
+          condition,
+          category: "environment",
+          severity: "medium",
+          message,
+          source: "anomaly-detector",
+          score: Math.round(score * 100) / 100,
+          createdAt: at,
+        });
+      }
+    }
+    return hits;
+  } catch (err) {
+    console.error(`⚠️ [${houseId}] Anomaly detector error:`, err.message);
+    return [];
+  }
+}
+
+// Scores a value against one metric baseline and writes the updated
+// baseline back only if nothing else folded a reading in meanwhile
+// (lastAt is the compare-and-set key); otherwise re-reads and tries again.
+// Returns [condition, score, message] for each finding.
+async function foldMetricBaseline(houseId, metric, rule, value, at) {
+  const alpha = 2 / (ANOMALY_EWMA_SAMPLES + 1);
+  const label = METRIC_LABELS[metric];
+
+  for (let attempt = 0; attempt < BASELINE_WRITE_ATTEMPTS; attempt++) {
+    const baseline = (await MetricBaseline.findOne({ houseId, metric })
+      .select("mean variance samples lastAt recent")
+      .lean()) || {
+      mean: null,
+      variance: 0,
+      samples: 0,
+      lastAt: null,
+      recent: [],
+    };
+    // Replayed batches can arrive after newer readings; keep the baseline
+    // moving forward only
+    if (baseline.lastAt && at <= baseline.lastAt) return [];
+
+    const found = [];
+    if (baseline.samples >= ANOMALY_WARMUP_SAMPLES) {
+      const std = Math.max(Math.sqrt(baseline.variance), rule.minStd);
+      const z = (value - baseline.mean) / std;
+      if (Math.abs(z) >= ANOMALY_Z_THRESHOLD) {
+        found.push([
+          `anomaly_${metric}`,
+          Math.abs(z),
+          `Anomaly: ${label} ${value.toFixed(1)}${rule.unit} is ${Math.abs(z).toFixed(1)}σ ${z > 0 ? "above" : "below"} its baseline (${baseline.mean.toFixed(1)}${rule.unit}).`,
+        ]);
+      }
+    }
+
+    const windowStart = at.getTime() - TREND_WINDOW_MINUTES * 60000;
+    const ref = baseline.recent.find((p) => p.at.getTime() >= windowStart);
+    if (ref && at - ref.at >= TREND_MIN_SPAN_MINUTES * 60000) {
+      const change = value - ref.value;
+      const moved = rule.direction === "up" ? change : Math.abs(change);
+      if (moved >= rule.trend) {
+        const minutes = Math.round((at - ref.at) / 60000);
+        found.push([
+          `trend_${metric}`,
+          Math.abs(change),
+          `Trend: ${label} ${change > 0 ? "up" : "down"} ${Math.abs(change).toFixed(1)}${rule.unit} in ${minutes} min (now ${value.toFixed(1)}${rule.unit}).`,
+        ]);
+      }
+    }
+
+    let { mean, variance } = baseline;
+    if (mean == null) {
+      mean = value;
+    } else {
+      const diff = value - mean;
+      const incr = alpha * diff;
+      mean += incr;
+      variance = (1 - alpha) * (variance + diff * incr);
+    }
+
+    const lastPoint = baseline.recent[baseline.recent.length - 1];
+    const recent =
+      !lastPoint || at - lastPoint.at >= 60000
+        ? [...baseline.recent, { at, value }]
+        : baseline.recent;
+
+    try {
+      await MetricBaseline.updateOne(
+        { houseId, metric, lastAt: baseline.lastAt },
+        {
+          $set: {
+            mean,
+            variance,
+            samples: baseline.samples + 1,
+            lastAt: at,
+            recent: recent.filter((p) => p.at.getTime() >= windowStart - 60000),
+          },
+        },
+        { upsert: true }
+      );
+      return found;
+    } catch (err) {
+      // Another reading updated (or created) the baseline first
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  console.warn(
+    `⚠️ [${houseId}] ${metric} baseline busy, reading at ${at.toISOString()} not folded in`
+  );
+  return [];
+}
+
+// ===== FAN HEALTH (RPM-vs-duty baselines, wear trend, maintenance) =====
+const FAN_HEALTH_FANS = {
+  fan_positive: {
+    rpm: "fanIntakeRpm",
+    duty: "fanIntakeDuty",
+    label: "Intake fan",
+  },
+  fan_negative: {
+    rpm: "fanExhaustRpm",
+    duty: "fanExhaustDuty",
+    label: "Exhaust fan",
+  },
+};
+const FAN_BAND_WIDTH = 10;
+const FAN_MIN_DUTY = 20;
+const FAN_BASELINE_SAMPLES = 200;
+const FAN_HEALTH_DAYS = 30;
+const FAN_HEALTH_RECENT_DAYS = 3;
+const FAN_HEALTH_WARN = 85;
+const FAN_HEALTH_CRITICAL = 70;
+const FAN_SERVICE_HORIZON_DAYS = 14;
+const FAN_EVALUATE_MINUTES = 10;
+
+function fanBandOf(duty) {
+  return Math.min(Math.floor(duty / FAN_BAND_WIDTH) * FAN_BAND_WIDTH, 100);
+}
+
+// Expected RPM at a duty level from the learned bands: linear between the
+// nearest learned bands, proportional to duty past either end
+function expectedFanRpm(baseline, duty) {
+  const learned = baseline.bands
+    .filter((b) => b.samples >= FAN_BASELINE_SAMPLES)
+    .map((b) => ({ x: b.duty + FAN_BAND_WIDTH / 2, rpm: b.expectedRpm }))
+    .sort((a, b) => a.x - b.x);
+  if (learned.length === 0) return null;
+
+  const lower = [...learned].reverse().find((p) => p.x <= duty);
+  const upper = learned.find((p) => p.x >= duty);
+  if (lower && upper && upper.x > lower.x) {
+    return (
+      lower.rpm +
+      ((upper.rpm - lower.rpm) * (duty - lower.x)) / (upper.x - lower.x)
+    );
+  }
+  const nearest = lower || upper;
+  return (nearest.rpm * duty) / nearest.x;
+}
+
+// Health from the recent actual/expected ratio, and its slope in score
+// points per week over the kept days (least squares)
+function fanHealthSummary(baseline) {
+  const learnedBands = baseline.bands.filter(
+    (b) => b.samples >= FAN_BASELINE_SAMPLES
+  ).length;
+  const days = baseline.daily.filter((d) => d.samples > 0);
+  const recent = days.slice(-FAN_HEALTH_RECENT_DAYS);
+  const recentSamples = recent.reduce((sum, d) => sum + d.samples, 0);
+
+  if (learnedBands === 0 || recentSamples === 0) {
+    return {
+      status: "learning",
+      healthScore: null,
+      trendPerWeek: null,
+      daysToService: null,
+      learnedBands,
+    };
+  }
+
+  const ratio = recent.reduce((sum, d) => sum + d.ratioSum, 0) / recentSamples;
+  const healthScore = Math.max(0, Math.min(100, Math.round(ratio * 100)));
+
+  let trendPerWeek = null;
+  let daysToService = null;
+  if (days.length >= 3) {
+    const points = days.map((d) => ({
+      x: (Date.parse(d.day) - Date.parse(days[0].day)) / 86400000,
+      y: (d.ratioSum / d.samples) * 100,
+    }));
+    const n = points.length;
+    const mx = points.reduce((s, p) => s + p.x, 0) / n;
+    const my = points.reduce((s, p) => s + p.y, 0) / n;
+    const sxx = points.reduce((s, p) => s + (p.x - mx) ** 2, 0);
+    const slope = sxx
+      ? points.reduce((s, p) => s + (p.x - mx) * (p.y - my), 0) / sxx
+      : 0;
+    trendPerWeek = Math.round(slope * 7 * 10) / 10;
+    if (slope < 0 && healthScore > FAN_HEALTH_CRITICAL) {
+      daysToService = Math.round((healthScore - FAN_HEALTH_CRITICAL) / -slope);
+    }
+  }
+
+  let status = "healthy";
+  if (healthScore < FAN_HEALTH_CRITICAL) status = "critical";
+  else if (
+    healthScore < FAN_HEALTH_WARN ||
+    (daysToService != null && daysToService <= FAN_SERVICE_HORIZON_DAYS)
+  ) {
+    status = "degraded";
+  }
+
+  return { status, healthScore, trendPerWeek, daysToService, learnedBands };
+}
+
+// Folds a reading into each running fan's baseline and, every
+// FAN_EVALUATE_MINUTES, raises or resolves its maintenance incident.
+// Returns incident results ({ alert, status }); never throws, so a fan
+// health problem cannot fail the ingest that called it.
+async function updateFanHealth(reading) {
+  const houseId = reading.houseId || DEFAULT_HOUSE_ID;
+  const at = reading.createdAt || new Date();
+  const results = [];
+
+  for (const [fan, spec] of Object.entries(FAN_HEALTH_FANS)) {
+    const duty = Number(reading[spec.duty]);
+    const rpm = Number(reading[spec.rpm]);
+    // Stalls (rpm 0) belong to the stall rule, not the wear baseline
+    if (!(duty >= FAN_MIN_DUTY) || !(rpm > 0)) continue;
+
+    try {
+      const due = await foldFanBaseline(houseId, fan, duty, rpm, at);
+      if (due) results.push(...(await evaluateFanHealth(due, spec, at)));
+    } catch (err) {
+      console.error(`⚠️ [${houseId}] Fan health error (${fan}):`, err.message);
+    }
+  }
+  return results;
+}
+
+// Folds one duty/RPM sample into a fan baseline and writes it back only
+// over the revision it was read at; a concurrent write means re-read and
+// try again. Returns the updated baseline when an evaluation is due.
+async function foldFanBaseline(houseId, fan, duty, rpm, at) {
+  for (let attempt = 0; attempt < BASELINE_WRITE_ATTEMPTS; attempt++) {
+    const stored = await FanBaseline.findOne({ houseId, fan }).lean();
+    // Baselines saved before revisions existed have none
+    const revision = stored ? (stored.revision ?? null) : null;
+    const baseline = new FanBaseline(stored || { houseId, fan });
+
+    const bandDuty = fanBandOf(duty);
+    let band = baseline.bands.find((b) => b.duty === bandDuty);
+    if (!band) {
+      baseline.bands.push({ duty: bandDuty });
+      band = baseline.bands[baseline.bands.length - 1];
+    }
+
+    const expected = expectedFanRpm(baseline, duty);
+    if (band.samples < FAN_BASELINE_SAMPLES) {
+      band.expectedRpm += (rpm - band.expectedRpm) / (band.samples + 1);
+      band.samples += 1;
+    }
+
+    if (expected) {
+      const day = localClock(at).dateKey;
+      let today = baseline.daily.find((d) => d.day === day);
+      if (!today) {
+        baseline.daily.push({ day });
+        baseline.daily.sort((a, b) => a.day.localeCompare(b.day));
+        today = baseline.daily.find((d) => d.day === day);
+      }
+      today.ratioSum += rpm / expected;
+      today.samples += 1;
+      if (baseline.daily.length > FAN_HEALTH_DAYS) {
+        baseline.daily = baseline.daily.slice(-FAN_HEALTH_DAYS);
+      }
+    }
+
+    const due =
+      !baseline.lastEvaluatedAt ||
+      at - baseline.lastEvaluatedAt >= FAN_EVALUATE_MINUTES * 60000;
+    if (due) baseline.lastEvaluatedAt = at;
+    baseline.revision = (revision || 0) + 1;
+
+    const { bands, daily, lastEvaluatedAt, baselineSince } =
+      baseline.toObject();
+    try {
+      await FanBaseline.updateOne(
+        { houseId, fan, revision },
+        {
+          $set: { bands, daily, lastEvaluatedAt, revision: baseline.revision },
+          $setOnInsert: { baselineSince },
+        },
+        { upsert: true }
+      );
+      return due ? baseline : null;
+    } catch (err) {
+      // Another reading (or a re-baseline) wrote the baseline first
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  console.warn(
+    `⚠️ [${houseId}] ${fan} baseline busy, reading at ${at.toISOString()} not folded in`
+  );
+  return null;
+}
+
+async function evaluateFanHealth(baseline, spec, at) {
+  const summary = fanHealthSummary(baseline);
+  const condition = `fan_maintenance_${baseline.fan}`;
+
+  if (summary.status === "degraded" || summary.status === "critical") {
+    const type = summary.status === "critical" ? "critical" : "warning";
+    const outlook =
+      summary.daysToService != null
+        ? `, ~${summary.daysToService} days to service level`
+        : "";
+    return [
+      await upsertIncident({
+        houseId: baseline.houseId,
+        type,
+        condition,
+        category: "mechanical",
+        severity: type === "warning" ? "medium" : "high",
+        message: `Maintenance: ${spec.label} health ${summary.healthScore}% of baseline RPM (trend ${summary.trendPerWeek ?? 0}/week${outlook}).`,
+        source: "fan-health",
+        score: summary.healthScore,
+        createdAt: at,
+      }),
+    ];
+  }
+
+  const alert = await autoResolveIncident(
+    baseline.houseId,
+    condition,
+    at,
+    `${spec.label} health back to ${summary.healthScore ?? "baseline"}%`
+  );
+  return alert ? [{ alert, status: "resolved" }] : [];
+}
+
+// ===== RUNTIME & ENERGY ACCOUNTING =====
+// Each observation closes the interval since the previous one for that
+// device. Reported status wins: control changes only count when nothing
+// has reported the device for RUNTIME_REPORT_FRESH_MS, and a reported ON
+// state stops accruing RUNTIME_MAX_GAP_MS after the last report.
+const RUNTIME_REPORT_FRESH_MS = 5 * 60 * 1000;
+const RUNTIME_MAX_GAP_MS = 15 * 60 * 1000;
+const RUNTIME_CHUNK_MS = 15 * 60 * 1000;
+const RUNTIME_WRITE_ATTEMPTS = 3;
+
+async function ratedWattsFor(houseId) {
+  const house = await findHouse(houseId);
+  return { ...DEFAULT_RATED_WATTS, ...((house && house.ratedWatts) || {}) };
+}
+
+function runtimeWatts(dev, state, rated) {
+  if (!state.on) return 0;
+  if (FAN_DEVICES.includes(dev) && state.duty != null) {
+    return (rated[dev] * Math.min(Math.max(state.duty, 0), 100)) / 100;
+  }
+  return rated[dev];
+}
+
+// Splits [from, to) of ON time into per-day totals (chunked, so a day
+// boundary is placed to within RUNTIME_CHUNK_MS)
+function addRuntime(totals, dev, from, to, watts) {
+  for (let t = from.getTime(); t < to.getTime(); t += RUNTIME_CHUNK_MS) {
+    const seconds = (Math.min(t + RUNTIME_CHUNK_MS, to.getTime()) - t) / 1000;
+    const key = `${dev}|${localClock(new Date(t)).dateKey}`;
+    const entry = totals.get(key) || { onSeconds: 0, energyWh: 0 };
+    entry.onSeconds += seconds;
+    entry.energyWh += (watts * seconds) / 3600;
+    totals.set(key, entry);
+  }
+}
+
+function accrueRuntime(totals, dev, last, until, rated) {
+  if (!last.on || !last.at) return;
+  const end =
+    last.source === "reported" && last.reportedAt
+      ? Math.min(
+          until.getTime(),
+          last.reportedAt.getTime() + RUNTIME_MAX_GAP_MS
+        )
+      : until.getTime();
+  if (end <= last.at.getTime()) return;
+  addRuntime(
+    totals,
+    dev,
+    last.at,
+    new Date(end),
+    runtimeWatts(dev, last, rated)
+  );
+}
+
+async function flushRuntime(houseId, totals) {
+  for (const [key, entry] of totals) {
+    const [device, day] = key.split("|");
+    await RuntimeDaily.updateOne(
+      { houseId, device, day },
+      { $inc: { onSeconds: entry.onSeconds, energyWh: entry.energyWh } },
+      { upsert: true }
+    );
+  }
+}
+
+// Reads the house's tracker, lets step(tracker, totals) move it forward,
+// and writes it back only over the revision it was read at. RuntimeDaily
+// is credited only when that write wins, so a tick and an ingest racing
+// over the same interval book it once; the loser re-reads and tries again.
+async function advanceRuntime(houseId, step) {
+  for (let attempt = 0; attempt < RUNTIME_WRITE_ATTEMPTS; attempt++) {
+    const stored = await RuntimeTracker.findOne({ houseId }).lean();
+    // Trackers saved before revisions existed have none
+    const revision = stored ? (stored.revision ?? null) : null;
+    const tracker = new RuntimeTracker(stored || { houseId });
+    const totals = new Map();
+    if (!(await step(tracker, totals))) return;
+
+    const saved = tracker.toObject();
+    try {
+      await RuntimeTracker.updateOne(
+        { houseId, revision },
+        {
+          $set: {
+            ...Object.fromEntries(ACTUATORS.map((dev) => [dev, saved[dev]])),
+            revision: (revision || 0) + 1,
+          },
+        },
+        { upsert: true }
+      );
+    } catch (err) {
+      // Another ingest (or the tick) moved the tracker first
+      if (err.code !== 11000) throw err;
+      continue;
+    }
+    await flushRuntime(houseId, totals);
+    return;
+  }
+
+  console.warn(`⚠️ [${houseId}] Runtime tracker busy, update not booked`);
+}
+
+// observations: { dev: { state: "ON"|"OFF", duty } } as from
+// actuatorReports; source is "reported" or "control"
+async function observeRuntime(houseId, observations, at, source) {
+  const devices = Object.keys(observations);
+  if (devices.length === 0) return;
+  const rated = await ratedWattsFor(houseId);
+
+  await advanceRuntime(houseId, (tracker, totals) => {
+    let changed = false;
+    for (const dev of devices) {
+      const last = tracker[dev];
+      // Replayed batches older than what is tracked are already covered
+      if (last.at && at < last.at) continue;
+      if (
+        source === "control" &&
+        last.reportedAt &&
+        at - last.reportedAt < RUNTIME_REPORT_FRESH_MS
+      ) {
+        continue;
+      }
+
+      accrueRuntime(totals, dev, last, at, rated);
+      const { state, duty } = observations[dev];
+      last.on = state === "ON";
+      last.duty = duty ?? null;
+      last.at = at;
+      last.source = source;
+      if (source === "reported") last.reportedAt = at;
+      changed = true;
+    }
+    return changed;
+  });
+}
+
+// Background tick: books running intervals up to now so today's report
+// stays current, and stops devices whose reports have gone quiet
+async function tickRuntime(now = new Date()) {
+  const trackers = await RuntimeTracker.find({}).select("houseId").lean();
+  for (const { houseId } of trackers) {
+    const rated = await ratedWattsFor(houseId);
+    await advanceRuntime(houseId, (tracker, totals) => {
+      let changed = false;
+      for (const dev of ACTUATORS) {
+        const last = tracker[dev];
+        // An ingest that won a race may already have moved past now
+        if (!last.on || !last.at || last.at >= now) continue;
+        accrueRuntime(totals, dev, last, now, rated);
+        last.at = now;
+        if (
+          last.source === "reported" &&
+          last.reportedAt &&
+          now - last.reportedAt >= RUNTIME_MAX_GAP_MS
+        ) {
+          last.on = false;
+        }
+        changed = true;
+      }
+      return changed;
+    });
+  }
+}
+
+// Control changes as runtime observations (fans carry their duty)
+function controlObservations(control, devices) {
+  return Object.fromEntries(
+    devices.map((dev) => [
+      dev,
+      {
+        state: control[dev].state,
+        duty: FAN_DEVICES.includes(dev) ? (control[dev].duty ?? null) : null,
+      },
+    ])
+  );
+}
+
+// Never lets accounting trouble fail the request that triggered it
+async function recordRuntime(houseId, observations, at, source) {
+  try {
+    await observeRuntime(houseId, observations, at, source);
+  } catch (err) {
+    console.error(`⚠️ [${houseId}] Runtime accounting error:`, err.message);
+  }
+}
+
+// ===== FORECASTING (Holt's linear smoothing) =====
+const FORECAST_STEP_MINUTES = 5;
+const FORECAST_MIN_POINTS = 12; // an hour of steps
+const FORECAST_MIN_HORIZON = 30;
+const FORECAST_MAX_HORIZON = 120;
+const FORECAST_Z = 1.96; // 95% band
+// Critical limits each forecast is checked against
+const FORECAST_METRICS = {
+  temperature: { unit: "°C", limits: ["criticalLow", "criticalHigh"] },
+  humidity: { unit: "%", limits: ["criticalLow", "criticalHigh"] },
+  ammonia: { unit: "ppm", limits: ["criticalHigh"] },
+};
+
+// Holt's linear method over evenly spaced values, `steps` ahead. The band
+// comes from the one-step-ahead errors and widens with the horizon.
+function holtForecast(
+  values,
+  steps,
+  alpha = FORECAST_ALPHA,
+  beta = FORECAST_BETA
+) {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  let sse = 0;
+  let errors = 0;
+  for (let i = 1; i < values.length; i++) {
+    // The first step only seeds the trend, so its error is always zero
+    if (i > 1) {
+      sse += (values[i] - (level + trend)) ** 2;
+      errors++;
+    }
+    const prevLevel = level;
+    level = alpha * values[i] + (1 - alpha) * (level + trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+  }
+
+  const sigma = errors ? Math.sqrt(sse / errors) : 0;
+  const points = [];
+  let variance = 1;
+  for (let h = 1; h <= steps; h++) {
+    if (h > 1) variance += (alpha * (1 + (h - 1) * beta)) ** 2;
+    const value = level + h * trend;
+    const spread = FORECAST_Z * sigma * Math.sqrt(variance);
+    points.push({
+      step: h,
+      value,
+      lower: value - spread,
+      upper: value + spread,
+    });
+  }
+  return { level, trend, sigma, points };
+}
+
+// Recent readings averaged per FORECAST_STEP_MINUTES (flagged samples left
+// out). Empty steps carry the previous value forward; null when the house
+// has nothing recent enough to forecast from.
+async function forecastSeries(houseId, now) {
+  const stepMs = FORECAST_STEP_MINUTES * 60000;
+  const group = {
+    _id: {
+      $dateTrunc: {
+        date: "$createdAt",
+        unit: "minute",
+        binSize: FORECAST_STEP_MINUTES,
+      },
+    },
+  };
+  for (const metric of Object.keys(FORECAST_METRICS)) {
+    group[metric] = { $avg: goodSampleExpr(metric) };
+  }
+
+  const rows = await SensorData.aggregate([
+    {
+      $match: {
+        houseId,
+        createdAt: {
+          $gte: new Date(now.getTime() - FORECAST_HISTORY_MINUTES * 60000),
+          $lte: now,
+        },
+      },
+    },
+    { $group: group },
+    { $sort: { _id: 1 } },
+  ]);
+  if (rows.length === 0) return null;
+
+  const lastAt = rows[rows.length - 1]._id;
+  if (now - lastAt > STALE_READING_MINUTES * 60000 + stepMs) return null;
+
+  const byTime = new Map(rows.map((row) => [row._id.getTime(), row]));
+  const values = Object.fromEntries(
+    Object.keys(FORECAST_METRICS).map((metric) => [metric, []])
+  );
+  for (let t = rows[0]._id.getTime(); t <= lastAt.getTime(); t += stepMs) {
+    const row = byTime.get(t);
+    for (const [metric, series] of Object.entries(values)) {
+      const value = row ? row[metric] : null;
+      if (value != null) series.push(value);
+      else if (series.length) series.push(series[series.length - 1]);
+    }
+  }
+  return { lastAt, values };
+}
+
+// First forecast point past a critical limit
+function firstCrossing(points, limits, names) {
+  for (const point of points) {
+    for (const name of names) {
+      const limit = limits[name];
+      if (limit == null) continue;
+      const past = name.endsWith("Low")
+        ? point.value < limit
+        : point.value > limit;
+      if (past) return { limit: name, threshold: limit, ...point };
+    }
+  }
+  return null;
+}
+
+// Per-metric forecast for a house. status is "crossing" when the metric is
+// inside its critical limits now but forecast to leave them within the
+// horizon, "critical" when it already has.
+async function forecastHouse(houseId, horizonMinutes, now = new Date()) {
+  const series = await forecastSeries(houseId, now);
+  const thresholds = await getActiveThresholds(houseId, now);
+  const steps = Math.ceil(horizonMinutes / FORECAST_STEP_MINUTES);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const metrics = {};
+  for (const [metric, spec] of Object.entries(FORECAST_METRICS)) {
+    const values = series ? series.values[metric] : [];
+    if (values.length < FORECAST_MIN_POINTS) {
+      metrics[metric] = { unit: spec.unit, status: "insufficient_data" };
+      continue;
+    }
+
+    const fit = holtForecast(values, steps);
+    const points = fit.points.map((point) => {
+      const at = new Date(
+        series.lastAt.getTime() + point.step * FORECAST_STEP_MINUTES * 60000
+      );
+      return {
+        at,
+        minutesAhead: Math.max(Math.round((at - now) / 60000), 0),
+        value: round(point.value),
+        lower: round(point.lower),
+        upper: round(point.upper),
+      };
+    });
+    const limits = Object.fromEntries(
+      spec.limits.map((name) => [name, thresholds[metric][name] ?? null])
+    );
+    const current = values[values.length - 1];
+    const critical = firstCrossing([{ value: current }], limits, spec.limits);
+    const crossing = critical
+      ? null
+      : firstCrossing(points, limits, spec.limits);
+
+    metrics[metric] = {
+      unit: spec.unit,
+      status: critical ? "critical" : crossing ? "crossing" : "ok",
+      current: round(current),
+      trendPerHour: round((fit.trend * 60) / FORECAST_STEP_MINUTES),
+      limits,
+      crossing,
+      points,
+    };
+  }
+
+  return {
+    houseId,
+    generatedAt: now,
+    basedOn: series ? series.lastAt : null,
+    method: "holt-linear",
+    alpha: FORECAST_ALPHA,
+    beta: FORECAST_BETA,
+    confidence: 0.95,
+    stepMinutes: FORECAST_STEP_MINUTES,
+    horizonMinutes,
+    metrics,
+  };
+}
+
+// Background check: a predictive warning per metric while a critical
+// crossing is forecast within FORECAST_ALERT_HORIZON_MINUTES
+async function checkForecasts(now = new Date()) {
+  const houses = await House.find({ active: true }).select("houseId").lean();
+  for (const { houseId } of houses) {
+    const forecast = await forecastHouse(
+      houseId,
+      FORECAST_ALERT_HORIZON_MINUTES,
+      now
+    );
+
+    for (const [metric, result] of Object.entries(forecast.metrics)) {
+      if (result.status === "insufficient_data") continue;
+      const condition = `forecast_${metric}`;
+
+      if (result.status === "crossing") {
+        const { crossing } = result;
+        const side = crossing.limit.endsWith("Low") ? "below" : "above";
+        const { alert, status } = await upsertIncident({
+          houseId,
+          type: "warning",
+          condition,
+          category: "environment",
+          severity: "medium",
+          message: `Forecast: ${METRIC_LABELS[metric]} to reach ${crossing.value}${result.unit} (critical ${side} ${crossing.threshold}) in ~${crossing.minutesAhead} min.`,
+          source: "forecaster",
+          createdAt: now,
+        });
+        publishEvent(houseId, "alert", { status, ...alert.toObject() });
+        if (NOTIFY_STATUSES.includes(status)) queueAlertNotifications(alert);
+        continue;
+      }
+
+      const alert = await autoResolveIncident(
+        houseId,
+        condition,
+        now,
+        result.status === "critical"
+          ? "Critical limit reached"
+          : "Forecast back within limits"
+      );
+      if (alert) {
+        publishEvent(houseId, "alert", {
+          status: "resolved",
+          ...alert.toObject(),
+        });
+      }
+    }
+  }
+}
+
+// ===== HELPER: Reading ingest (single + batch) =====
+const REQUIRED_READING_FIELDS = [
+  "temperature",
+  "humidity",
+  "ammonia",
+  "methane",
+];
+const MAX_BATCH_READINGS = 500;
+const INGEST_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function missingReadingFields(body) {
+  return REQUIRED_READING_FIELDS.filter((field) => body[field] === undefined);
+}
+
+function readingDoc(body) {
+  return {
+    temperature: body.temperature,
+    humidity: body.humidity,
+    ammonia: body.ammonia,
+    methane: body.methane,
+    fanIntakeRpm: body.fanIntakeRpm || 0,
+    fanExhaustRpm: body.fanExhaustRpm || 0,
+    fanIntakeDuty: body.fanIntakeDuty || 0,
+    fanExhaustDuty: body.fanExhaustDuty || 0,
+    mode: body.mode || "AUTO",
+    ...(body.light != null && { light: body.light }),
+    ...(body.lightStatus && { lightStatus: onOff(body.lightStatus) }),
+    ...(body.pressureWasherStatus && {
+      pressureWasherStatus: onOff(body.pressureWasherStatus),
+    }),
+  };
+}
+
+// Derived comfort and air-quality metrics. THI is the NRC livestock index
+// (0.8·T + RH·(T − 14.4) + 46.4), dew point uses the Magnus formula, and
+// gas load counts each gas as a share of its GAS_LOAD_REFERENCE ppm.
+const GAS_LOAD_REFERENCE = {
+  ammonia: DEFAULT_THRESHOLDS.ammonia.criticalHigh,
+  methane: DEFAULT_THRESHOLDS.methane.criticalHigh,
+};
+
+function derivedMetrics(values, quality = {}) {
+  const usable = (field) =>
+    values[field] != null &&
+    Number.isFinite(Number(values[field])) &&
+    !UNUSABLE_QUALITY_FLAGS.includes(quality[field]);
+  const round = (value) => Math.round(value * 100) / 100;
+  const out = { thi: null, dewPoint: null, gasLoad: null };
+
+  if (usable("temperature") && usable("humidity")) {
+    const t = Number(values.temperature);
+    const rh = Number(values.humidity);
+    out.thi = round(0.8 * t + (rh / 100) * (t - 14.4) + 46.4);
+    if (rh > 0) {
+      const gamma = Math.log(rh / 100) + (17.62 * t) / (243.12 + t);
+      out.dewPoint = round((243.12 * gamma) / (17.62 - gamma));
+    }
+  }
+  if (usable("ammonia") && usable("methane")) {
+    out.gasLoad = round(
+      100 *
+        (Number(values.ammonia) / GAS_LOAD_REFERENCE.ammonia +
+          Number(values.methane) / GAS_LOAD_REFERENCE.methane)
+    );
+  }
+  return out;
+}
+
+// Flags each QUALITY_RULES field of a new reading against the device's
+// previous samples. faults lists fields that have now been bad for
+// SENSOR_FAULT_SAMPLES readings in a row. unchangedSince carries forward
+// from the previous sample while the value holds, so stuck detection is by
+// time rather than by sample count (a gap longer than SPIKE_MAX_GAP_MS
+// restarts it).
+const QUALITY_LOOKBACK = SENSOR_FAULT_SAMPLES;
+const SPIKE_MAX_GAP_MS = 10 * 60 * 1000;
+
+async function assessReadingQuality(houseId, deviceId, values, at) {
+  const fields = Object.keys(QUALITY_RULES);
+  const previous = await SensorData.find({
+    houseId,
+    deviceId,
+    createdAt: { $lt: at },
+  })
+    .sort({ createdAt: -1 })
+    .limit(QUALITY_LOOKBACK)
+    .select(`${fields.join(" ")} quality unchangedSince createdAt`)
+    .lean();
+  const flagOf = (sample, field) =>
+    (sample.quality && sample.quality[field]) || "ok";
+
+  const quality = {};
+  const unchangedSince = {};
+  const faults = [];
+  for (const field of fields) {
+    if (values[field] == null) continue;
+    const rule = QUALITY_RULES[field];
+    const value = Number(values[field]);
+    let flag = "ok";
+
+    if (!Number.isFinite(value) || value < rule.min || value > rule.max) {
+      flag = "out-of-range";
+    } else if (rule.maxStep != null) {
+      // A jump that holds on the next sample is a real change, not a spike
+      const lastOk = previous.find((p) => flagOf(p, field) === "ok");
+      const prev = previous[0];
+      const levelShift =
+        prev &&
+        flagOf(prev, field) === "spike" &&
+        Math.abs(value - prev[field]) <= rule.maxStep;
+      if (
+        lastOk &&
+        !levelShift &&
+        at - lastOk.createdAt <= SPIKE_MAX_GAP_MS &&
+        Math.abs(value - lastOk[field]) > rule.maxStep
+      ) {
+        flag = "spike";
+      }
+    }
+
+    if (rule.stuckMinutes && Number.isFinite(value)) {
+      const prev = previous[0];
+      const held =
+        prev &&
+        prev[field] === value &&
+        at - prev.createdAt <= SPIKE_MAX_GAP_MS;
+      const since =
+        (held && prev.unchangedSince && prev.unchangedSince[field]) ||
+        (held ? prev.createdAt : at);
+      unchangedSince[field] = since;
+
+      if (
+        flag === "ok" &&
+        value !== rule.min &&
+        at - since >= rule.stuckMinutes * 60000
+      ) {
+        flag = "stuck";
+      }
+    }
+
+    quality[field] = flag;
+    if (flag === "ok") continue;
+
+    const lastGood = previous.findIndex((p) => flagOf(p, field) === "ok");
+    const badSamples = 1 + (lastGood === -1 ? previous.length : lastGood);
+    if (badSamples >= SENSOR_FAULT_SAMPLES) {
+      faults.push({ field, flag, samples: badSamples });
+    }
+  }
+
+  return {
+    quality,
+    qualityOk: Object.values(quality).every((flag) => flag === "ok"),
+    unchangedSince,
+    faults,
+  };
+}
+
+// Validates one buffered reading; returns { index, seq, time, item } or
+// { index, seq, status: "rejected", error }
+function parseBatchItem(item, index, now) {
+  const seq = item && typeof item === "object" ? item.seq : undefined;
+  const reject = (error) => ({
+    index,
+    seq: seq ?? null,
+    status: "rejected",
+    error,
+  });
+
+  if (!item || typeof item !== "object") {
+    return reject("Reading must be an object");
+  }
+  if (!Number.isInteger(seq) || seq < 0) {
+    return reject("seq must be a non-negative integer");
+  }
+  const missing = missingReadingFields(item);
+  if (missing.length) {
+    return reject(`Missing required fields: ${missing.join(", ")}`);
+  }
+
+  const time =
+    item.timestamp == null ? null : parseDateParam(String(item.timestamp));
+  if (!time) return reject("timestamp must be ISO 8601 or epoch ms");
+  if (time - now > INGEST_CLOCK_SKEW_MS) {
+    return reject("timestamp is in the future");
+  }
+  if (now - time > INGEST_MAX_AGE_HOURS * 3600000) {
+    return reject(`timestamp is older than ${INGEST_MAX_AGE_HOURS}h`);
+  }
+
+  return { index, seq, time, item };
+}
+
+// ===== API ENDPOINTS =====
+
+// Every /admin route (reset, device keys, accounts) is admin-only
+app.use("/admin", requireRole("admin"));
+
+// Health check
+app.get("/health", (req, res) => {
+  res.json({
+    status: "Backend is running",
+    timestamp: new Date().toISOString(),
+    version: "2.5.0-ml-threshold-rules",
+    cache: {
+      keys: cache.keys().length,
+      stats: cache.getStats(),
+    },
+  });
+});
+
+// 1️⃣ POST /api/sensors - ESP32 Fan MCU sends full sensor data
+app.post("/api/sensors", authenticateDevice("fan_mcu"), async (req, res) => {
+  try {
+    const { houseId, deviceId, controlVersion } = req.body;
+
+    if (missingReadingFields(req.body).length) {
+      return res.status(400).json({
+        error:
+          "Missing required fields: temperature, humidity, ammonia, methane",
+      });
+    }
+
+    const source = await checkIngestSource(
+      houseId,
+      deviceId,
+      "fan_mcu",
+      req.device
+    );
+    if (source.registryStatus !== "ok" && REJECT_UNKNOWN_SOURCES) {
+      return res.status(403).json({
+        error: `Rejected reading: ${source.registryStatus}`,
+        houseId: source.houseId,
+        deviceId: source.deviceId,
+      });
+    }
+
+    if (source.registryStatus === "ok") {
+      markDeviceSeen(source.deviceId, "sensors");
+    }
+
+    const receivedAt = new Date();
+    const { faults, ...quality } = await assessReadingQuality(
+      source.houseId,
+      source.deviceId,
+      req.body,
+      receivedAt
+    );
+    const sensorData = await SensorData.create({
+      ...source,
+      ...readingDoc(req.body),
+      ...quality,
+      ...derivedMetrics(req.body, quality.quality),
+      createdAt: receivedAt,
+      receivedAt,
+    });
+
+    // Unregistered sources are stored for inspection but never raise alerts
+    let alertResults = [];
+    if (source.registryStatus === "ok") {
+      const hits = generateAlertsFromReading(
+        sensorData,
+        await getActiveThresholds(source.houseId, sensorData.createdAt),
+        faults
+      );
+      hits.push(...(await detectAnomalies(sensorData)));
+      alertResults = await recordAlerts(hits);
+
+      const resolved = await resolveClearedIncidents(
+        source.houseId,
+        hits.map((hit) => hit.condition),
+        sensorData.createdAt
+      );
+      alertResults.push(
+        ...resolved.map((alert) => ({ alert, status: "resolved" })),
+        ...(await updateFanHealth(sensorData))
+      );
+
+      // Shadow before the AUTO engine, so drift is judged against the
+      // state the MCU was last told to apply
+      alertResults.push(
+        ...(await reportDeviceState(
+          source.houseId,
+          source.deviceId,
+          actuatorReports(req.body),
+          controlVersion,
+          sensorData.createdAt
+        ))
+      );
+      await recordRuntime(
+        source.houseId,
+        actuatorReports(req.body),
+        sensorData.createdAt,
+        "reported"
+      );
+    }
+
+    // AUTO engine: never let a control hiccup fail the ingest itself
+    let autoChanges = [];
+    if (source.registryStatus === "ok") {
+      try {
+        autoChanges = await runAutoControl(source.houseId, {
+          ...sensorData.toObject(),
+          light: sensorData.light ?? null,
+        });
+      } catch (err) {
+        console.error(
+          `⚠️ [${source.houseId}] Auto control error:`,
+          err.message
+        );
+      }
+    }
+
+    const countStatus = (...statuses) =>
+      alertResults.filter((r) => statuses.includes(r.status)).length;
+    alertResults.forEach(({ alert, status }) => {
+      publishEvent(source.houseId, "alert", { status, ...alert.toObject() });
+      if (NOTIFY_STATUSES.includes(status)) queueAlertNotifications(alert);
+    });
+
+    cache.del(`latest_sensor_${source.houseId}`);
+    publishEvent(source.houseId, "reading", sensorData.toObject());
+
+    return res.status(201).json({
+      success: true,
+      message: "Sensor data saved",
+      data: sensorData,
+      alertsCreated: countStatus("created", "reopened"),
+      alertsUpdated: countStatus("updated", "escalated"),
+      autoControl: autoChanges,
+    });
+  } catch (err) {
+    console.error("Error saving sensor data:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/sensors/batch - readings the MCU buffered while offline, each
+// with its device timestamp and seq. Replayed duplicates are skipped.
+// Alerts run in timestamp order but only incidents still open and seen
+// recently notify; AUTO control and the shadow use the newest reading only.
+app.post(
+  "/api/sensors/batch",
+  authenticateDevice("fan_mcu"),
+  async (req, res) => {
+    try {
+      const { houseId, deviceId, readings, controlVersion } = req.body || {};
+
+      if (!Array.isArray(readings) || readings.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "readings must be a non-empty array" });
+      }
+      if (readings.length > MAX_BATCH_READINGS) {
+        return res.status(400).json({
+          error: `At most ${MAX_BATCH_READINGS} readings per batch`,
+        });
+      }
+
+      const source = await checkIngestSource(
+        houseId,
+        deviceId,
+        "fan_mcu",
+        req.device
+      );
+      if (source.registryStatus !== "ok" && REJECT_UNKNOWN_SOURCES) {
+        return res.status(403).json({
+          error: `Rejected batch: ${source.registryStatus}`,
+          houseId: source.houseId,
+          deviceId: source.deviceId,
+        });
+      }
+      const registered = source.registryStatus === "ok";
+      if (registered) markDeviceSeen(source.deviceId, "sensors");
+
+      const now = new Date();
+      const results = readings.map((item, index) =>
+        parseBatchItem(item, index, now)
+      );
+      const accepted = results
+        .filter((r) => !r.error)
+        .sort((a, b) => a.time - b.time);
+
+      // Latest incident state per alert, and whether it ever qualified
+      // for a notification during this batch
+      const incidents = new Map();
+      const trackIncident = ({ alert, status }) => {
+        const prev = incidents.get(String(alert._id));
+        incidents.set(String(alert._id), {
+          alert,
+          status,
+          notify: (prev && prev.notify) || NOTIFY_STATUSES.includes(status),
+        });
+      };
+
+      let latest = null;
+      let latestItem = null;
+      for (const r of accepted) {
+        let reading;
+        const { faults, ...quality } = await assessReadingQuality(
+          source.houseId,
+          source.deviceId,
+          r.item,
+          r.time
+        );
+        try {
+          reading = await SensorData.create({
+            ...source,
+            ...readingDoc(r.item),
+            ...quality,
+            ...derivedMetrics(r.item, quality.quality),
+            seq: r.seq,
+            createdAt: r.time,
+            receivedAt: now,
+          });
+        } catch (err) {
+          if (err.code === 11000) {
+            r.status = "duplicate";
+            continue;
+          }
+          if (err.name === "ValidationError") {
+            r.status = "rejected";
+            r.error = err.message;
+            continue;
+          }
+          throw err;
+        }
+
+        r.status = "created";
+        r.id = reading._id;
+        latest = reading;
+        latestItem = r.item;
+        if (!registered) continue;
+
+        const hits = generateAlertsFromReading(
+          reading,
+          await getActiveThresholds(source.houseId, reading.createdAt),
+          faults
+        );
+        hits.push(...(await detectAnomalies(reading)));
+        r.alerts = hits.length;
+        (await recordAlerts(hits)).forEach(trackIncident);
+
+        const resolved = await resolveClearedIncidents(
+          source.houseId,
+          hits.map((hit) => hit.condition),
+          reading.createdAt
+        );
+        resolved.forEach((alert) =>
+          trackIncident({ alert, status: "resolved" })
+        );
+        (await updateFanHealth(reading)).forEach(trackIncident);
+        await recordRuntime(
+          source.houseId,
+          actuatorReports(r.item),
+          reading.createdAt,
+          "reported"
+        );
+      }
+
+      const fresh =
+        latest && now - latest.createdAt < STALE_READING_MINUTES * 60000;
+      let autoChanges = [];
+      if (registered && fresh) {
+        (
+          await reportDeviceState(
+            source.houseId,
+            source.deviceId,
+            actuatorReports(latestItem),
+            controlVersion,
+            latest.createdAt
+          )
+        ).forEach(trackIncident);
+
+        try {
+          autoChanges = await runAutoControl(source.houseId, latest);
+        } catch (err) {
+          console.error(
+            `⚠️ [${source.houseId}] Auto control error:`,
+            err.message
+          );
+        }
+      }
+
+      const staleBefore = new Date(
+        now.getTime() - STALE_READING_MINUTES * 60000
+      );
+      for (const { alert, status, notify } of incidents.values()) {
+        publishEvent(source.houseId, "alert", { status, ...alert.toObject() });
+        if (notify && alert.isOpen && alert.lastSeenAt >= staleBefore) {
+          queueAlertNotifications(alert);
+        }
+      }
+
+      if (latest) {
+        cache.del(`latest_sensor_${source.houseId}`);
+        publishEvent(source.houseId, "reading", latest.toObject());
+      }
+
+      const count = (status) =>
+        results.filter((r) => r.status === status).length;
+      console.log(
+        `📦 [${source.houseId}] Batch from ${source.deviceId || "unknown"}: ${count("created")} saved, ${count("duplicate")} duplicate, ${count("rejected")} rejected`
+      );
+
+      return res.json({
+        success: true,
+        houseId: source.houseId,
+        accepted: count("created"),
+        duplicates: count("duplicate"),
+        rejected: count("rejected"),
+        results: results.map(({ index, seq, status, id, error, alerts }) => ({
+          index,
+          seq,
+          status,
+          ...(id && { id }),
+          ...(error && { error }),
+          ...(alerts !== undefined && { alerts }),
+        })),
+        autoControl: autoChanges,
+      });
+    } catch (err) {
+      console.error("Error saving sensor batch:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// 2️⃣ GET /api/sensors/latest - newest reading, light fields merged from
+// the light MCU stream
+app.get(
+  "/api/sensors/latest",
+  requireRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const { houseId } = req;
+      const cacheKey = `latest_sensor_${houseId}`;
+      const cached = cache.get(cacheKey);
+      if (cached) return res.json(cached);
+
+      const latestSensor = await getMergedLatest(houseId);
+
+      if (!latestSensor) {
+        return res.status(404).json({ message: "No sensor data yet" });
+      }
+
+      cache.set(cacheKey, latestSensor);
+      return res.json(latestSensor);
+    } catch (err) {
+      console.error("Error fetching latest sensor:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// 3️⃣ GET /api/sensors/history - last N readings, a from/to window, or buckets
+// (?flockId= limits the window to one flock cycle)
+app.get(
+  "/api/sensors/history",
+  requireRole("viewer"),
+  resolveFlock,
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const { from, to, bucket } = req.query;
+      const { houseId } = req;
+      // ?excludeBad=true drops samples flagged by the data-quality checks
+      const excludeBad = req.query.excludeBad === "true";
+
+      // ?bucket=minute|hour|day -> min/max/avg/count per metric per bucket
+      if (bucket) {
+        const spec = BUCKETS[bucket];
+        if (!spec) {
+          return res.status(400).json({
+            error: `Invalid bucket. Must be one of: ${Object.keys(BUCKETS).join(", ")}`,
+          });
+        }
+
+        const range = parseTimeRange(req.query, spec.defaultSpanMs, req.flock);
+        if (range.error) return res.status(400).json({ error: range.error });
+
+        const bucketCount = (range.to - range.from) / spec.ms;
+        if (bucketCount > MAX_BUCKETS) {
+          return res.status(400).json({
+            error: `Range too large for ${bucket} buckets (max ${MAX_BUCKETS})`,
+          });
+        }
+
+        const timezone = req.query.tz || REPORT_TIMEZONE;
+        if (!isValidTimeZone(timezone)) {
+          return res.status(400).json({ error: `Invalid tz: ${timezone}` });
+        }
+        const cacheKey = `sensor_agg_${houseId}_${bucket}_${timezone}_${range.from.getTime()}_${range.to.getTime()}_${excludeBad}`;
+        const cached = cache.get(cacheKey);
+        if (cached) return res.json(cached);
+
+        const match = { houseId, createdAt: createdAtFilter(range) };
+        const [sensorRows, lightRows] = await Promise.all([
+          SensorData.aggregate(
+            buildBucketPipeline(match, bucket, timezone, excludeBad)
+          ),
+          LightReading.aggregate(
+            buildBucketPipeline(
+              { ...match, ...REGISTERED_LIGHT },
+              bucket,
+              timezone,
+              false,
+              LIGHT_HISTORY_METRICS
+            )
+          ),
+        ]);
+        const rows = mergeBucketRows(
+          sensorRows,
+          lightRows,
+          LIGHT_HISTORY_METRICS
+        );
+
+        const result = {
+          houseId,
+          bucket,
+          timezone,
+          from: range.from,
+          to: range.to,
+          buckets: rows.map(shapeBucket),
+        };
+        cache.set(cacheKey, result);
+        return res.json(result);
+      }
+
+      // ?from=&to= -> raw readings inside the window (oldest first)
+      if (from || to || req.flock) {
+        const range = parseTimeRange(req.query, null, req.flock);
+        if (range.error) return res.status(400).json({ error: range.error });
+
+        // A window returns all of it (up to the cap) unless limit is given
+        const parsedLimit = Math.min(
+          parseInt(req.query.limit) || MAX_RAW_HISTORY,
+          MAX_RAW_HISTORY
+        );
+        const history = await SensorData.find({
+          houseId,
+          createdAt: createdAtFilter(range),
+        })
+          .sort({ createdAt: 1 })
+          .limit(parsedLimit)
+          .select(
+            `${HISTORY_METRICS.join(" ")} lightStatus pressureWasherStatus quality createdAt -_id`
+          )
+          .lean();
+
+        await mergeLightHistory(houseId, history);
+        return res.json(excludeBad ? history.map(maskBadSamples) : history);
+      }
+
+      const parsedLimit = Math.min(parseInt(req.query.limit) || 24, 100);
+
+      const cacheKey = `sensor_history_${houseId}_${parsedLimit}_${excludeBad}`;
+      const cached = cache.get(cacheKey);
+      if (cached) return res.json(cached);
+
+      const history = await SensorData.find({ houseId })
+        .sort({ createdAt: -1 })
+        .limit(parsedLimit)
+        .select(
+          "temperature humidity ammonia methane light thi dewPoint gasLoad lightStatus pressureWasherStatus quality createdAt -_id"
+        )
+        .lean();
+
+      const reversed = await mergeLightHistory(houseId, history.reverse());
+      if (excludeBad)
+        reversed.forEach((row, i) => (reversed[i] = maskBadSamples(row)));
+      cache.set(cacheKey, reversed);
+
+      return res.json(reversed);
+    } catch (err) {
+      console.error("Error fetching sensor history:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// 4️⃣ GET /api/control/state - ESP32 & Frontend get current control state
+app.get(
+  "/api/control/state",
+  authenticateDeviceOrRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const { houseId } = req;
+
+      // Polls double as heartbeats; unkeyed firmware names itself in
+      // ?deviceId=
+      if (req.device) {
+        markDeviceSeen(req.device.deviceId, "control-poll");
+      } else if (!req.user && req.query.deviceId) {
+        const device = await findDevice(String(req.query.deviceId));
+        if (device && device.houseId === houseId) {
+          markDeviceSeen(device.deviceId, "control-poll");
+        }
+      }
+
+      const control = await getControlStateForRead(houseId);
+      return res.json(control);
+    } catch (err) {
+      console.error("Error fetching control state:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// 5️⃣ POST /api/control - Dashboard sends TWO-WAY control commands
+app.post(
+  "/api/control",
+  requireRole("operator"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const { device, mode, timerDuration } = req.body;
+      const { houseId } = req;
+
+      let targetDevices = [];
+
+      if (device === "fan") {
+        targetDevices = ["fan_positive", "fan_negative"];
+      } else if (
+        device === "light" ||
+        device === "fan_positive" ||
+        device === "fan_negative" ||
+        device === "pressure_washer"
+      ) {
+        targetDevices = [device];
+      } else {
+        return res.status(400).json({
+          error:
+            'Invalid device. Must be one of: "light", "fan", "fan_positive", "fan_negative", "pressure_washer"',
+        });
+      }
+
+      const validModes = ["AUTO", "FORCE_ON", "FORCE_OFF"];
+      if (!validModes.includes(mode)) {
+        return res.status(400).json({
+          error: `Invalid mode. Must be one of: ${validModes.join(", ")}`,
+        });
+      }
+
+      if (targetDevices.includes("pressure_washer") && mode === "AUTO") {
+        return res.status(400).json({
+          error:
+            "Pressure washer does not support AUTO mode. Use FORCE_ON or FORCE_OFF.",
+        });
+      }
+
+      // Optional timed override for any device (seconds); the washer always
+      // gets one, falling back to 300 s when it's missing, 0 or not a number
+      const duration = parseInt(timerDuration, 10);
+      const givenDuration = timerDuration != null && timerDuration !== "";
+      if (
+        givenDuration &&
+        Number.isNaN(Number(timerDuration)) &&
+        !targetDevices.includes("pressure_washer")
+      ) {
+        return res
+          .status(400)
+          .json({ error: "timerDuration must be a number of seconds" });
+      }
+      if (duration < 0) {
+        return res
+          .status(400)
+          .json({ error: "timerDuration must not be negative" });
+      }
+      if (duration > MAX_TIMER_SECONDS) {
+        return res.status(400).json({
+          error: `timerDuration must be at most ${MAX_TIMER_SECONDS} seconds`,
+        });
+      }
+
+      const control = await getControlState(houseId);
+      const before = snapshotControl(control);
+
+      // A new command supersedes pending reverts; a timed one keeps the
+      // original revert target so stacked overrides unwind to the start
+      const superseded = await cancelPendingReverts(houseId, targetDevices);
+      const revertTargets = {};
+      for (const dev of targetDevices) {
+        const prev = superseded.find((job) => job.device === dev);
+        revertTargets[dev] = prev
+          ? prev.revertTo
+          : snapshotDevice(control[dev]);
+      }
+
+      for (const dev of targetDevices) {
+        control[dev].mode = mode;
+
+        if (mode === "FORCE_ON") {
+          setDeviceState(control, dev, "ON", null);
+          if (dev.startsWith("fan_")) control[dev].duty = 100;
+        } else if (mode === "FORCE_OFF") {
+          setDeviceState(control, dev, "OFF", null);
+          if (dev.startsWith("fan_")) control[dev].duty = 0;
+        }
+      }
+
+      if (targetDevices.includes("pressure_washer")) {
+        if (mode === "FORCE_ON") {
+          startWasherTimer(control, duration || 300);
+        } else if (mode === "FORCE_OFF") {
+          control.pressure_washer.timerDuration = 0;
+          control.pressure_washer.timerStartedAt = null;
+          control.pressure_washer.timerExpiresAt = null;
+          console.log(`🚿 [${houseId}] Pressure washer manually turned OFF`);
+        }
+      }
+
+      // Revert jobs are stored before the forced state, and armed only once
+      // it is committed; if either step fails the command is rolled back so
+      // a device is never left forced without its revert
+      const overrides = [];
+      try {
+        for (const dev of targetDevices) {
+          const meta = { createdBy: req.user.username };
+          if (dev === "pressure_washer" && mode === "FORCE_ON") {
+            overrides.push(
+              await createRevertJob(
+                houseId,
+                dev,
+                duration || 300,
+                { mode: "FORCE_OFF", state: "OFF" },
+                { ...meta, reason: "washer-timer" }
+              )
+            );
+          } else if (dev !== "pressure_washer" && duration > 0) {
+            overrides.push(
+              await createRevertJob(
+                houseId,
+                dev,
+                duration,
+                revertTargets[dev],
+                meta
+              )
+            );
+          }
+        }
+
+        await commitControl(
+          control,
+          before,
+          {
+            source: "dashboard",
+            actor: req.user.username,
+            detail: duration > 0 ? `${mode} for ${duration}s` : mode,
+          },
+          { reason: "command", device, mode }
+        );
+      } catch (err) {
+        // Once the control document is saved the forced state is live, so
+        // its reverts must stay armed even if a later step failed
+        if (!control.isModified()) {
+          overrides.forEach(armJob);
+          throw err;
+        }
+        await restoreReverts(superseded, overrides).catch((restoreErr) =>
+          console.error("⚠️ Could not restore revert jobs:", restoreErr.message)
+        );
+        throw err;
+      }
+      overrides.forEach(armJob);
+
+      return res.json({
+        success: true,
+        houseId,
+        message: `${device} set to ${mode}`,
+        controlState: control,
+        overrides,
+      });
+    } catch (err) {
+      console.error("Error updating control state:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// 6️⃣ GET /api/alerts - Dashboard early warning alerts
+// Filters: houseId, flockId, state (comma list), type, category, condition,
+// from/to
+app.get(
+  "/api/alerts",
+  requireRole("viewer"),
+  resolveFlock,
+  async (req, res) => {
+    try {
+      const {
+        limit = 20,
+        houseId,
+        state,
+        type,
+        category,
+        condition,
+      } = req.query;
+
+      const filter = {};
+      if (req.flock) {
+        filter.houseId = req.flock.houseId;
+      } else if (houseId) {
+        const house = await findHouse(String(houseId));
+        if (!house) {
+          return res.status(404).json({ error: `Unknown house: ${houseId}` });
+        }
+        filter.houseId = house.houseId;
+      }
+      if (state) filter.state = { $in: String(state).split(",") };
+      if (type) filter.type = String(type);
+      if (category) filter.category = String(category);
+      if (condition) filter.condition = String(condition);
+
+      if (req.query.from || req.query.to || req.flock) {
+        const range = parseTimeRange(req.query, null, req.flock);
+        if (range.error) return res.status(400).json({ error: range.error });
+        filter.createdAt = createdAtFilter(range);
+      }
+
+      const alerts = await Alert.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Number(limit) || 20, 500))
+        .lean();
+
+      return res.json({ success: true, alerts });
+    } catch (err) {
+      console.error("Error fetching alerts:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/alerts/:id/acknowledge - operator takes ownership, with a note
+app.post(
+  "/api/alerts/:id/acknowledge",
+  requireRole("operator"),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ error: "Invalid alert id" });
+      }
+
+      const alert = await Alert.findOneAndUpdate(
+        { _id: req.params.id, state: "open" },
+        {
+          $set: {
+            state: "acknowledged",
+            acknowledgedAt: new Date(),
+            acknowledgedBy: req.user.username,
+            ackNote: String((req.body && req.body.note) || ""),
+          },
+        },
+        { returnDocument: "after" }
+      );
+      if (!alert) {
+        return res.status(409).json({ error: "Alert not found or not open" });
+      }
+
+      publishEvent(alert.houseId, "alert", {
+        status: "acknowledged",
+        ...alert.toObject(),
+      });
+      return res.json({ success: true, alert });
+    } catch (err) {
+      console.error("Error acknowledging alert:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/alerts/:id/resolve - close an incident by hand
+app.post(
+  "/api/alerts/:id/resolve",
+  requireRole("operator"),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ error: "Invalid alert id" });
+      }
+
+      const alert = await Alert.findOneAndUpdate(
+        { _id: req.params.id, isOpen: true },
+        {
+          $set: {
+            state: "resolved",
+            isOpen: false,
+            resolvedAt: new Date(),
+            resolvedBy: req.user.username,
+            resolveNote: String((req.body && req.body.note) || ""),
+          },
+        },
+        { returnDocument: "after" }
+      );
+      if (!alert) {
+        return res
+          .status(409)
+          .json({ error: "Alert not found or already resolved" });
+      }
+
+      publishEvent(alert.houseId, "alert", {
+        status: "resolved",
+        ...alert.toObject(),
+      });
+      return res.json({ success: true, alert });
+    } catch (err) {
+      console.error("Error resolving alert:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// 7️⃣ POST /api/light-status — Light MCU sends ONLY light/washer status,
+// stored as its own LightReading stream
+app.post(
+  "/api/light-status",
+  authenticateDevice("light_mcu"),
+  async (req, res) => {
+    try {
+      const {
+        houseId,
+        deviceId,
+        light,
+        lightStatus,
+        pressureWasherStatus,
+        controlVersion,
+      } = req.body;
+
+      const source = await checkIngestSource(
+        houseId,
+        deviceId,
+        "light_mcu",
+        req.device
+      );
+      if (source.registryStatus !== "ok" && REJECT_UNKNOWN_SOURCES) {
+        return res.status(403).json({
+          error: `Rejected status: ${source.registryStatus}`,
+          houseId: source.houseId,
+          deviceId: source.deviceId,
+        });
+      }
+
+      const reading = await LightReading.create({
+        ...source,
+        light: light != null && light >= 0 ? Number(light) : null,
+        lightStatus: lightStatus ? onOff(lightStatus) : null,
+        pressureWasherStatus: pressureWasherStatus
+          ? onOff(pressureWasherStatus)
+          : null,
+      });
+
+      // Flag mode: stored for inspection, but an unregistered source never
+      // drives a house's shadow, runtime or AUTO control
+      if (source.registryStatus !== "ok") {
+        console.warn(
+          `⚠️ Flagged light status from ${source.registryStatus} (${source.houseId}/${source.deviceId})`
+        );
+        return res.status(201).json({
+          success: true,
+          registryStatus: source.registryStatus,
+          message: "Status stored as unregistered",
+          data: reading,
+        });
+      }
+      markDeviceSeen(source.deviceId, "light-status");
+      publishEvent(source.houseId, "reading", {
+        kind: "light",
+        ...reading.toObject(),
+      });
+
+      cache.del(`latest_sensor_${source.houseId}`);
+
+      const driftResults = await reportDeviceState(
+        source.houseId,
+        source.deviceId,
+        actuatorReports({ lightStatus, pressureWasherStatus }),
+        controlVersion,
+        new Date()
+      );
+      driftResults.forEach(({ alert, status }) => {
+        publishEvent(source.houseId, "alert", { status, ...alert.toObject() });
+        if (NOTIFY_STATUSES.includes(status)) queueAlertNotifications(alert);
+      });
+      await recordRuntime(
+        source.houseId,
+        actuatorReports({ lightStatus, pressureWasherStatus }),
+        reading.createdAt,
+        "reported"
+      );
+
+      // Lux drives the AUTO light decision
+      let autoChanges = [];
+      if (reading.light != null) {
+        try {
+          autoChanges = await runAutoControl(source.houseId, reading);
+        } catch (err) {
+          console.error(
+            `⚠️ [${source.houseId}] Auto control error:`,
+            err.message
+          );
+        }
+      }
+
+      return res.json({
+        success: true,
+        message: "Light/washer status recorded from Light MCU",
+        data: reading,
+        autoControl: autoChanges,
+      });
+    } catch (err) {
+      console.error("Error in /api/light-status:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// 8️⃣ GET /api/stream - Server-Sent Events: readings, alerts, control changes
+// EventSource cannot send headers, so the dashboard may pass ?access_token=.
+// Reconnecting clients send Last-Event-ID (or ?lastEventId=) and get every
+// event they missed within the replay window before live events resume.
+function tokenFromQuery(req, res, next) {
+  if (!req.get("authorization") && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+app.get(
+  "/api/stream",
+  tokenFromQuery,
+  requireRole("viewer"),
+  async (req, res) => {
+    let client = null;
+    let heartbeat = null;
+
+    try {
+      let houseId = null;
+      if (req.query.houseId) {
+        const house = await findHouse(String(req.query.houseId));
+        if (!house) {
+          return res
+            .status(404)
+            .json({ error: `Unknown house: ${req.query.houseId}` });
+        }
+        houseId = house.houseId;
+      }
+
+      const lastEventId = req.get("last-event-id") || req.query.lastEventId;
+      if (lastEventId && !mongoose.isValidObjectId(lastEventId)) {
+        return res.status(400).json({ error: "Invalid Last-Event-ID" });
+      }
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write("retry: 3000\n\n");
+
+      // Live events are queued while the backlog replays, then flushed
+      client = { res, houseId, pending: [], lastId: lastEventId || null };
+      streamClients.add(client);
+
+      heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        streamClients.delete(client);
+      });
+
+      if (lastEventId) {
+        const filter = { _id: { $gt: lastEventId } };
+        if (houseId) filter.houseId = houseId;
+
+        const missed = await StreamEvent.find(filter)
+          .sort({ _id: 1 })
+          .limit(1000)
+          .lean();
+        missed.forEach((event) => writeStreamEvent(client, event));
+      }
+
+      const queued = client.pending;
+      client.pending = null;
+      for (const event of queued) {
+        if (!client.lastId || String(event._id) > client.lastId) {
+          writeStreamEvent(client, event);
+        }
+      }
+    } catch (err) {
+      console.error("Error in /api/stream:", err);
+      if (heartbeat) clearInterval(heartbeat);
+      if (client) streamClients.delete(client);
+      if (!res.headersSent) {
+        return res.status(500).json({ error: "Server error" });
+      }
+      res.end();
+    }
+  }
+);
+
+// 9️⃣ GET /api/export/sensors - raw readings as CSV or NDJSON (streamed,
+// ?flockId= for one cycle)
+app.get(
+  "/api/export/sensors",
+  requireRole("viewer"),
+  resolveFlock,
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const range = parseTimeRange(req.query, null, req.flock);
+      if (range.error) return res.status(400).json({ error: range.error });
+
+      const filter = {
+        houseId: req.houseId,
+        createdAt: createdAtFilter(range),
+      };
+      if (req.query.excludeBad === "true") filter.qualityOk = { $ne: false };
+
+      return await streamExport(req, res, {
+        model: SensorData,
+        filter,
+        fields: SENSOR_EXPORT_FIELDS,
+        name: `sensors-${req.houseId}`,
+        merger: lightExportMerger(req.houseId, range),
+      });
+    } catch (err) {
+      console.error("Error exporting sensor data:", err);
+      if (!res.headersSent) {
+        return res.status(500).json({ error: "Server error" });
+      }
+      return res.end();
+    }
+  }
+);
+
+// 🔟 GET /api/export/alerts - alerts as CSV or NDJSON (streamed, ?flockId=
+// for one cycle)
+app.get(
+  "/api/export/alerts",
+  requireRole("viewer"),
+  resolveFlock,
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const range = parseTimeRange(req.query, null, req.flock);
+      if (range.error) return res.status(400).json({ error: range.error });
+
+      return await streamExport(req, res, {
+        model: Alert,
+        filter: { houseId: req.houseId, createdAt: createdAtFilter(range) },
+        fields: ALERT_EXPORT_FIELDS,
+        name: `alerts-${req.houseId}`,
+      });
+    } catch (err) {
+      console.error("Error exporting alerts:", err);
+      if (!res.headersSent) {
+        return res.status(500).json({ error: "Server error" });
+      }
+      return res.end();
+    }
+  }
+);
+
+// ===== AUTH API =====
+
+// POST /api/auth/login - exchange username/password for a bearer token
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res
+        .status(400)
+        .json({ error: "Missing required fields: username, password" });
+    }
+
+    const user = await User.findOne({
+      username: String(username).toLowerCase(),
+      active: true,
+    }).select("+passwordHash");
+
+    if (!user || !(await verifyPassword(String(password), user.passwordHash))) {
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000);
+    await Session.create({
+      tokenHash: hashSecret(token),
+      userId: user._id,
+      expiresAt,
+    });
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    return res.json({
+      success: true,
+      token,
+      expiresAt,
+      user: { username: user.username, role: user.role },
+    });
+  } catch (err) {
+    console.error("Login error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/auth/logout - end the current session
+app.post("/api/auth/logout", requireRole("viewer"), async (req, res) => {
+  try {
+    const tokenHash = hashSecret(bearerToken(req));
+    await Session.deleteOne({ tokenHash });
+    cache.del(`session_${tokenHash}`);
+
+    return res.json({ success: true, message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /api/auth/me - current account
+app.get("/api/auth/me", requireRole("viewer"), (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+// ===== OPERATOR ACCOUNT ADMIN =====
+
+// Drops cached sessions so role/active changes apply immediately
+async function revokeUserSessions(userId) {
+  const sessions = await Session.find({ userId }).select("tokenHash").lean();
+  sessions.forEach((s) => cache.del(`session_${s.tokenHash}`));
+  await Session.deleteMany({ userId });
+}
+
+// GET /admin/users
+app.get("/admin/users", async (req, res) => {
+  try {
+    const users = await User.find({}).sort({ username: 1 }).lean();
+    return res.json({ success: true, users });
+  } catch (err) {
+    console.error("List users error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /admin/users - create an operator account
+app.post("/admin/users", async (req, res) => {
+  try {
+    const { username, password, role = "viewer" } = req.body || {};
+    if (!username) {
+      return res
+        .status(400)
+        .json({ error: "Missing required field: username" });
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) return res.status(400).json({ error: passwordError });
+
+    const user = await User.create({
+      username,
+      role,
+      passwordHash: await hashPassword(password),
+    });
+
+    return res.status(201).json({
+      success: true,
+      user: { username: user.username, role: user.role, active: user.active },
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "Username already exists" });
+    }
+    console.error("Create user error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+// PUT /admin/users/:username - change role, active flag or password
+app.put("/admin/users/:username", async (req, res) => {
+  try {
+    const user = await User.findOne({
+      username: req.params.username.toLowerCase(),
+    });
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const { role, active, password } = req.body || {};
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = Boolean(active);
+    if (password !== undefined) {
+      const passwordError = validatePassword(password);
+      if (passwordError) return res.status(400).json({ error: passwordError });
+      user.passwordHash = await hashPassword(password);
+    }
+
+    await user.save();
+    await revokeUserSessions(user._id);
+
+    return res.json({
+      success: true,
+      user: { username: user.username, role: user.role, active: user.active },
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Update user error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+// DELETE /admin/users/:username
+app.delete("/admin/users/:username", async (req, res) => {
+  try {
+    const username = req.params.username.toLowerCase();
+    if (username === req.user.username) {
+      return res
+        .status(400)
+        .json({ error: "You cannot delete your own account" });
+    }
+
+    const user = await User.findOneAndDelete({ username });
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    await revokeUserSessions(user._id);
+    return res.json({ success: true, message: `User ${username} deleted` });
+  } catch (err) {
+    console.error("Delete user error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ===== HOUSE & DEVICE REGISTRY API =====
+const HOUSE_FIELDS = [
+  "name",
+  "location",
+  "active",
+  "thresholdProfileId",
+  "flockStartDate",
+  "ratedWatts",
+];
+const DEVICE_FIELDS = [
+  "name",
+  "type",
+  "sensors",
+  "actuators",
+  "active",
+  "offlineAfterSeconds",
+];
+
+function pickFields(body, fields) {
+  const out = {};
+  for (const f of fields) {
+    if (body[f] !== undefined) out[f] = body[f];
+  }
+  return out;
+}
+
+// Rejects assignments to threshold profiles that don't exist
+async function checkProfileAssignment(body) {
+  const { thresholdProfileId } = body;
+  if (thresholdProfileId == null) return null;
+  const exists = await ThresholdProfile.exists({
+    profileId: thresholdProfileId,
+  });
+  return exists ? null : `Unknown threshold profile: ${thresholdProfileId}`;
+}
+
+function ratedWattsError(body) {
+  const { ratedWatts } = body;
+  if (ratedWatts === undefined) return null;
+  if (!ratedWatts || typeof ratedWatts !== "object") {
+    return "ratedWatts must be an object of actuator watts";
+  }
+  for (const [dev, watts] of Object.entries(ratedWatts)) {
+    if (!ACTUATORS.includes(dev)) return `Unknown actuator: ${dev}`;
+    if (typeof watts !== "number" || !(watts >= 0)) {
+      return `ratedWatts.${dev} must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+// Partial ratedWatts updates keep the other actuators' values
+function houseUpdate(body) {
+  const { ratedWatts, ...rest } = pickFields(body, HOUSE_FIELDS);
+  const update = { ...rest };
+  for (const [dev, watts] of Object.entries(ratedWatts || {})) {
+    update[`ratedWatts.${dev}`] = watts;
+  }
+  return update;
+}
+
+function sendRegistryError(res, err, context) {
+  if (err.name === "ValidationError") {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ error: "Already registered" });
+  }
+  console.error(`Error in ${context}:`, err);
+  return res.status(500).json({ error: "Server error" });
+}
+
+// GET /api/houses - list registered houses
+app.get("/api/houses", requireRole("viewer"), async (req, res) => {
+  try {
+    const houses = await House.find({}).sort({ houseId: 1 }).lean();
+    return res.json({ success: true, houses });
+  } catch (err) {
+    return sendRegistryError(res, err, "GET /api/houses");
+  }
+});
+
+// POST /api/houses - register a house
+app.post("/api/houses", requireRole("admin"), async (req, res) => {
+  try {
+    const { houseId } = req.body;
+    if (!houseId) {
+      return res.status(400).json({ error: "Missing required field: houseId" });
+    }
+    const profileError =
+      (await checkProfileAssignment(req.body)) || ratedWattsError(req.body);
+    if (profileError) return res.status(400).json({ error: profileError });
+
+    const house = await House.create({
+      houseId,
+      ...pickFields(req.body, HOUSE_FIELDS),
+    });
+    invalidateRegistryCache(houseId);
+
+    return res.status(201).json({ success: true, house });
+  } catch (err) {
+    return sendRegistryError(res, err, "POST /api/houses");
+  }
+});
+
+// GET /api/houses/:houseId - house with its devices
+app.get("/api/houses/:houseId", requireRole("viewer"), async (req, res) => {
+  try {
+    const house = await House.findOne({ houseId: req.params.houseId }).lean();
+    if (!house) return res.status(404).json({ error: "House not found" });
+
+    const devices = await Device.find({ houseId: house.houseId }).lean();
+    return res.json({ success: true, house, devices });
+  } catch (err) {
+    return sendRegistryError(res, err, "GET /api/houses/:houseId");
+  }
+});
+
+// PUT /api/houses/:houseId - update name/location/active/threshold profile/
+// rated watts
+app.put("/api/houses/:houseId", requireRole("admin"), async (req, res) => {
+  try {
+    const profileError =
+      (await checkProfileAssignment(req.body)) || ratedWattsError(req.body);
+    if (profileError) return res.status(400).json({ error: profileError });
+
+    const house = await House.findOneAndUpdate(
+      { houseId: req.params.houseId },
+      { $set: houseUpdate(req.body) },
+      { returnDocument: "after", runValidators: true }
+    );
+    if (!house) return res.status(404).json({ error: "House not found" });
+
+    invalidateRegistryCache(house.houseId);
+    return res.json({ success: true, house });
+  } catch (err) {
+    return sendRegistryError(res, err, "PUT /api/houses/:houseId");
+  }
+});
+
+// DELETE /api/houses/:houseId - remove house, its devices and control state
+// (historical readings and alerts are kept)
+app.delete("/api/houses/:houseId", requireRole("admin"), async (req, res) => {
+  try {
+    const { houseId } = req.params;
+    if (houseId === DEFAULT_HOUSE_ID) {
+      return res
+        .status(400)
+        .json({ error: "The default house cannot be deleted" });
+    }
+
+    const house = await House.findOneAndDelete({ houseId });
+    if (!house) return res.status(404).json({ error: "House not found" });
+
+    const devices = await Device.find({ houseId }).select("deviceId").lean();
+    await Device.deleteMany({ houseId });
+    await cancelPendingReverts(houseId);
+    await ControlState.deleteMany({ houseId });
+
+    invalidateRegistryCache(houseId);
+    devices.forEach((d) => invalidateRegistryCache(null, d.deviceId));
+    invalidateControlCache(houseId);
+
+    return res.json({ success: true, message: `House ${houseId} deleted` });
+  } catch (err) {
+    return sendRegistryError(res, err, "DELETE /api/houses/:houseId");
+  }
+});
+
+// GET /api/houses/:houseId/devices - devices registered to a house
+app.get(
+  "/api/houses/:houseId/devices",
+  requireRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const devices = await Device.find({ houseId: req.houseId }).lean();
+      return res.json({ success: true, devices });
+    } catch (err) {
+      return sendRegistryError(res, err, "GET /api/houses/:houseId/devices");
+    }
+  }
+);
+
+// POST /api/houses/:houseId/devices - register a device to a house
+app.post(
+  "/api/houses/:houseId/devices",
+  requireRole("admin"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const { deviceId } = req.body;
+      if (!deviceId) {
+        return res
+          .status(400)
+          .json({ error: "Missing required field: deviceId" });
+      }
+
+      const device = await Device.create({
+        deviceId,
+        houseId: req.houseId,
+        ...pickFields(req.body, DEVICE_FIELDS),
+      });
+      invalidateRegistryCache(null, deviceId);
+
+      return res.status(201).json({ success: true, device });
+    } catch (err) {
+      return sendRegistryError(res, err, "POST /api/houses/:houseId/devices");
+    }
+  }
+);
+
+// GET /api/devices/status - heartbeat status of every device (?houseId=)
+app.get("/api/devices/status", requireRole("viewer"), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.houseId) {
+      const house = await findHouse(String(req.query.houseId));
+      if (!house) {
+        return res
+          .status(404)
+          .json({ error: `Unknown house: ${req.query.houseId}` });
+      }
+      filter.houseId = house.houseId;
+    }
+
+    const now = new Date();
+    const devices = (
+      await Device.find(filter)
+        .select(
+          "deviceId houseId type name active lastSeenAt lastSeenVia offlineSince offlineAfterSeconds"
+        )
+        .sort({ houseId: 1, deviceId: 1 })
+        .lean()
+    ).map((device) => ({
+      ...device,
+      status: deviceStatus(device, now),
+      silentSeconds: device.lastSeenAt
+        ? Math.round((now - device.lastSeenAt) / 1000)
+        : null,
+    }));
+
+    const counts = {};
+    devices.forEach((d) => (counts[d.status] = (counts[d.status] || 0) + 1));
+
+    return res.json({
+      success: true,
+      offlineAfterSeconds: DEVICE_OFFLINE_SECONDS,
+      counts,
+      devices,
+    });
+  } catch (err) {
+    return sendRegistryError(res, err, "GET /api/devices/status");
+  }
+});
+
+// GET /api/devices/:deviceId
+app.get("/api/devices/:deviceId", requireRole("viewer"), async (req, res) => {
+  try {
+    const device = await Device.findOne({
+      deviceId: req.params.deviceId,
+    }).lean();
+    if (!device) return res.status(404).json({ error: "Device not found" });
+
+    return res.json({ success: true, device });
+  } catch (err) {
+    return sendRegistryError(res, err, "GET /api/devices/:deviceId");
+  }
+});
+
+// PUT /api/devices/:deviceId - update type/sensors/actuators/active
+app.put("/api/devices/:deviceId", requireRole("admin"), async (req, res) => {
+  try {
+    const device = await Device.findOneAndUpdate(
+      { deviceId: req.params.deviceId },
+      { $set: pickFields(req.body, DEVICE_FIELDS) },
+      { returnDocument: "after", runValidators: true }
+    );
+    if (!device) return res.status(404).json({ error: "Device not found" });
+
+    invalidateRegistryCache(null, device.deviceId);
+    return res.json({ success: true, device });
+  } catch (err) {
+    return sendRegistryError(res, err, "PUT /api/devices/:deviceId");
+  }
+});
+
+// DELETE /api/devices/:deviceId
+app.delete("/api/devices/:deviceId", requireRole("admin"), async (req, res) => {
+  try {
+    const device = await Device.findOneAndDelete({
+      deviceId: req.params.deviceId,
     });
+    if (!device) return res.status(404).json({ error: "Device not found" });
+
+    invalidateRegistryCache(null, device.deviceId);
+    return res.json({
+      success: true,
+      message: `Device ${device.deviceId} deleted`,
+    });
+  } catch (err) {
+    return sendRegistryError(res, err, "DELETE /api/devices/:deviceId");
+  }
+});
+
+// GET /api/houses/:houseId/thresholds - limits in force right now
+app.get(
+  "/api/houses/:houseId/thresholds",
+  requireRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const thresholds = await getActiveThresholds(req.houseId);
+      return res.json({ success: true, houseId: req.houseId, thresholds });
+    } catch (err) {
+      return sendRegistryError(res, err, "GET /api/houses/:houseId/thresholds");
+    }
+  }
+);
+
+// GET /api/houses/:houseId/auto-control - AUTO engine settings
+app.get(
+  "/api/houses/:houseId/auto-control",
+  requireRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const config = await getAutoControlConfig(req.houseId);
+      return res.json({ success: true, config });
+    } catch (err) {
+      return sendRegistryError(res, err, "GET auto-control config");
+    }
+  }
+);
+
+// PUT /api/houses/:houseId/auto-control - update enabled/fan/light settings
+app.put(
+  "/api/houses/:houseId/auto-control",
+  requireRole("admin"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const config =
+        (await AutoControlConfig.findOne({ houseId: req.houseId })) ||
+        new AutoControlConfig({ houseId: req.houseId });
+
+      const { enabled, fan, light } = req.body;
+      if (enabled !== undefined) config.enabled = Boolean(enabled);
+      if (fan) config.fan = { ...config.fan.toObject(), ...fan };
+      if (light) config.light = { ...config.light.toObject(), ...light };
+
+      const { fan: f, light: l } = config;
+      if (
+        f.tempOff > f.tempOn ||
+        f.humidityOff > f.humidityOn ||
+        f.ammoniaOff > f.ammoniaOn ||
+        f.methaneOff > f.methaneOn
+      ) {
+        return res
+          .status(400)
+          .json({ error: "Fan *Off limits must not exceed *On limits" });
+      }
+      if (l.luxOn > l.luxOff) {
+        return res.status(400).json({ error: "luxOn must not exceed luxOff" });
+      }
+
+      await config.save();
+      cache.del(`auto_control_${req.houseId}`);
+
+      return res.json({ success: true, config });
+    } catch (err) {
+      return sendRegistryError(res, err, "PUT auto-control config");
+    }
+  }
+);
+
+// ===== SCHEDULE API =====
+const SCHEDULE_FIELDS = ["name", "kind", "enabled", "photoperiod", "washer"];
+
+// GET /api/houses/:houseId/schedules
+app.get(
+  "/api/houses/:houseId/schedules",
+  requireRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const schedules = await Schedule.find({ houseId: req.houseId })
+        .sort({ kind: 1, createdAt: 1 })
+        .lean();
+      return res.json({ success: true, schedules });
+    } catch (err) {
+      return sendRegistryError(res, err, "GET schedules");
+    }
+  }
+);
+
+// POST /api/houses/:houseId/schedules - add a photoperiod or washer schedule
+app.post(
+  "/api/houses/:houseId/schedules",
+  requireRole("operator"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const schedule = await Schedule.create({
+        houseId: req.houseId,
+        ...pickFields(req.body, SCHEDULE_FIELDS),
+      });
+      return res.status(201).json({ success: true, schedule });
+    } catch (err) {
+      return sendRegistryError(res, err, "POST schedule");
+    }
+  }
+);
+
+async function findScheduleParam(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: "Invalid schedule id" });
+    return null;
+  }
+  const schedule = await Schedule.findById(req.params.id);
+  if (!schedule) res.status(404).json({ error: "Schedule not found" });
+  return schedule;
+}
+
+// PUT /api/schedules/:id
+app.put("/api/schedules/:id", requireRole("operator"), async (req, res) => {
+  try {
+    const schedule = await findScheduleParam(req, res);
+    if (!schedule) return undefined;
+
+    schedule.set(pickFields(req.body, SCHEDULE_FIELDS));
+    await schedule.save();
+    return res.json({ success: true, schedule });
+  } catch (err) {
+    return sendRegistryError(res, err, "PUT schedule");
+  }
+});
+
+// DELETE /api/schedules/:id
+app.delete("/api/schedules/:id", requireRole("operator"), async (req, res) => {
+  try {
+    const schedule = await findScheduleParam(req, res);
+    if (!schedule) return undefined;
+
+    await schedule.deleteOne();
+    return res.json({ success: true, message: "Schedule deleted" });
+  } catch (err) {
+    return sendRegistryError(res, err, "DELETE schedule");
+  }
+});
+
+// GET /api/houses/:houseId/schedule-runs - execution log (?scheduleId=)
+app.get(
+  "/api/houses/:houseId/schedule-runs",
+  requireRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const { scheduleId, limit = 50 } = req.query;
+      const filter = { houseId: req.houseId };
+      if (scheduleId) {
+        if (!mongoose.isValidObjectId(scheduleId)) {
+          return res.status(400).json({ error: "Invalid scheduleId" });
+        }
+        filter.scheduleId = scheduleId;
+      }
+
+      const runs = await ScheduleRun.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Number(limit) || 50, 500))
+        .lean();
+      return res.json({ success: true, runs });
+    } catch (err) {
+      return sendRegistryError(res, err, "GET schedule runs");
+    }
+  }
+);
+
+// ===== FLOCK API =====
+const FLOCK_FIELDS = [
+  "name",
+  "breed",
+  "placedAt",
+  "initialCount",
+  "placementWeightG",
+  "notes",
+];
+// Daily log values that add up over a day's entries
+const FLOCK_LOG_TOTALS = ["mortality", "culls", "feedKg", "waterL"];
+const FLOCK_ENV_METRICS = [
+  "temperature",
+  "humidity",
+  "ammonia",
+  "methane",
+  "thi",
+  "gasLoad",
+];
+
+async function findFlockParam(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: "Invalid flock id" });
+    return null;
+  }
+  const flock = await Flock.findById(req.params.id);
+  if (!flock) res.status(404).json({ error: "Flock not found" });
+  return flock;
+}
+
+// Validates a log body; counts must be whole birds, amounts non-negative
+function parseFlockLog(body) {
+  const values = {};
+  for (const field of [...FLOCK_LOG_TOTALS, "avgWeightG"]) {
+    if (body[field] == null) continue;
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${field} must be a non-negative number` };
+    }
+    if (
+      (field === "mortality" || field === "culls") &&
+      !Number.isInteger(value)
+    ) {
+      return { error: `${field} must be a whole number` };
+    }
+    values[field] = value;
+  }
+  if (body.note != null) values.note = String(body.note);
+  return { values };
+}
+
+// Checks a log day lies inside the flock's cycle
+function flockLogDayError(flock, day) {
+  if (!DAY_KEY.test(day)) return "day must be YYYY-MM-DD";
+  const cycle = flockWindow(flock);
+  if (
+    day < localClock(cycle.from).dateKey ||
+    day > localClock(cycle.to).dateKey
+  ) {
+    return "day falls outside the flock cycle";
+  }
+  return null;
+}
+
+async function flockLogs(flockIds) {
+  const logs = await FlockLog.find({ flockId: { $in: flockIds } })
+    .sort({ day: 1 })
+    .lean();
+  const byFlock = new Map(flockIds.map((id) => [String(id), []]));
+  for (const log of logs) byFlock.get(String(log.flockId)).push(log);
+  return byFlock;
+}
+
+function withStats(flock, logs) {
+  const { daily, ...stats } = flockStats(flock, logs);
+  return { ...flock, stats };
+}
+
+// GET /api/houses/:houseId/flocks - flock cycles, newest first, with
+// age, livability and FCR
+app.get(
+  "/api/houses/:houseId/flocks",
+  requireRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const flocks = await Flock.find({ houseId: req.houseId })
+        .sort({ placedAt: -1 })
+        .lean();
+      const logs = await flockLogs(flocks.map((flock) => flock._id));
+      return res.json({
+        success: true,
+        flocks: flocks.map((flock) =>
+          withStats(flock, logs.get(String(flock._id)))
+        ),
+      });
+    } catch (err) {
+      return sendRegistryError(res, err, "GET flocks");
+    }
+  }
+);
+
+// POST /api/houses/:houseId/flocks - place a new flock (the previous one
+// must be closed first)
+app.post(
+  "/api/houses/:houseId/flocks",
+  requireRole("operator"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const fields = pickFields(req.body, FLOCK_FIELDS);
+      const placedAt = fields.placedAt ? new Date(fields.placedAt) : new Date();
+      if (Number.isNaN(placedAt.getTime())) {
+        return res.status(400).json({ error: "Invalid placedAt date" });
+      }
+
+      const active = await Flock.exists({
+        houseId: req.houseId,
+        status: "active",
+      });
+      if (active) {
+        return res
+          .status(409)
+          .json({ error: "House already has an active flock; close it first" });
+      }
+      const overlap = await Flock.exists({
+        houseId: req.houseId,
+        endedAt: { $gt: placedAt },
+      });
+      if (overlap) {
+        return res
+          .status(400)
+          .json({ error: "placedAt overlaps an earlier flock cycle" });
+      }
+
+      const flock = await Flock.create({
+        ...fields,
+        houseId: req.houseId,
+        placedAt,
+      });
+      invalidateFlockCache(req.houseId);
+      console.log(
+        `🐣 [${req.houseId}] Flock placed: ${flock.initialCount} birds (${flock.breed || "breed n/a"})`
+      );
+      return res.status(201).json({ success: true, flock });
+    } catch (err) {
+      return sendRegistryError(res, err, "POST flock");
+    }
+  }
+);
+
+// GET /api/flocks/:id - flock with its figures and daily series
+app.get("/api/flocks/:id", requireRole("viewer"), async (req, res) => {
+  try {
+    const flock = await findFlockParam(req, res);
+    if (!flock) return undefined;
+
+    const logs = await FlockLog.find({ flockId: flock._id })
+      .sort({ day: 1 })
+      .lean();
+    return res.json({
+      success: true,
+      flock,
+      stats: flockStats(flock.toObject(), logs),
+    });
+  } catch (err) {
+    return sendRegistryError(res, err, "GET flock");
+  }
+});
+
+// PUT /api/flocks/:id - correct placement details
+app.put("/api/flocks/:id", requireRole("operator"), async (req, res) => {
+  try {
+    const flock = await findFlockParam(req, res);
+    if (!flock) return undefined;
+
+    flock.set(pickFields(req.body, FLOCK_FIELDS));
+    if (flock.endedAt && flock.endedAt <= flock.placedAt) {
+      return res
+        .status(400)
+        .json({ error: "placedAt must be before the flock ended" });
+    }
+    await flock.save();
+    invalidateFlockCache(flock.houseId);
+    return res.json({ success: true, flock });
+  } catch (err) {
+    return sendRegistryError(res, err, "PUT flock");
+  }
+});
+
+// POST /api/flocks/:id/close - end the cycle once the house is emptied
+// ({ endedAt } defaults to now)
+app.post("/api/flocks/:id/close", requireRole("operator"), async (req, res) => {
+  try {
+    const flock = await findFlockParam(req, res);
+    if (!flock) return undefined;
+    if (flock.status === "closed") {
+      return res.status(409).json({ error: "Flock is already closed" });
+    }
+
+    const endedAt = req.body.endedAt ? new Date(req.body.endedAt) : new Date();
+    if (Number.isNaN(endedAt.getTime()) || endedAt <= flock.placedAt) {
+      return res
+        .status(400)
+        .json({ error: "endedAt must be a date after placement" });
+    }
+
+    flock.status = "closed";
+    flock.endedAt = endedAt;
+    await flock.save();
+    invalidateFlockCache(flock.houseId);
+    console.log(`🏁 [${flock.houseId}] Flock ${flock._id} closed`);
+    return res.json({ success: true, flock });
+  } catch (err) {
+    return sendRegistryError(res, err, "POST flock close");
+  }
+});
+
+// DELETE /api/flocks/:id - remove a flock and its daily logs
+app.delete("/api/flocks/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const flock = await findFlockParam(req, res);
+    if (!flock) return undefined;
+
+    await FlockLog.deleteMany({ flockId: flock._id });
+    await flock.deleteOne();
+    invalidateFlockCache(flock.houseId);
+    return res.json({ success: true, message: "Flock deleted" });
+  } catch (err) {
+    return sendRegistryError(res, err, "DELETE flock");
+  }
+});
+
+// GET /api/flocks/:id/logs - daily records (?from=&to= as YYYY-MM-DD)
+app.get("/api/flocks/:id/logs", requireRole("viewer"), async (req, res) => {
+  try {
+    const flock = await findFlockParam(req, res);
+    if (!flock) return undefined;
+
+    const filter = { flockId: flock._id };
+    const { from, to } = req.query;
+    if ((from && !DAY_KEY.test(from)) || (to && !DAY_KEY.test(to))) {
+      return res.status(400).json({ error: "from/to must be YYYY-MM-DD" });
+    }
+    if (from || to) {
+      filter.day = {};
+      if (from) filter.day.$gte = from;
+      if (to) filter.day.$lte = to;
+    }
+
+    const logs = await FlockLog.find(filter).sort({ day: 1 }).lean();
+    return res.json({ success: true, logs });
   } catch (err) {
-    console.error("Error saving sensor data:", err);
-    return res.status(500).json({ error: "Server error" });
+    return sendRegistryError(res, err, "GET flock logs");
   }
 });
 
-// 2️⃣ GET /api/sensors/latest
-app.get("/api/sensors/latest", async (req, res) => {
+// POST /api/flocks/:id/logs - record deaths, culls, feed and water for a
+// day ({ day } defaults to today); these add to the day's totals, while
+// avgWeightG replaces the day's weighing
+app.post("/api/flocks/:id/logs", requireRole("operator"), async (req, res) => {
   try {
-    const cacheKey = "latest_sensor";
-    const cached = cache.get(cacheKey);
-    if (cached) return res.json(cached);
+    const flock = await findFlockParam(req, res);
+    if (!flock) return undefined;
 
-    const latestSensor = await SensorData.findOne()
-      .sort({ createdAt: -1 })
-      .select("-__v")
-      .lean();
+    const day = req.body.day || localClock(new Date()).dateKey;
+    const dayError = flockLogDayError(flock, day);
+    if (dayError) return res.status(400).json({ error: dayError });
+
+    const { values, error } = parseFlockLog(req.body);
+    if (error) return res.status(400).json({ error });
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({
+        error: `Provide at least one of: ${[...FLOCK_LOG_TOTALS, "avgWeightG", "note"].join(", ")}`,
+      });
+    }
 
-    if (!latestSensor) {
-      return res.status(404).json({ message: "No sensor data yet" });
+    const update = { $setOnInsert: { houseId: flock.houseId } };
+    for (const [field, value] of Object.entries(values)) {
+      const op = FLOCK_LOG_TOTALS.includes(field) ? "$inc" : "$set";
+      update[op] = { ...update[op], [field]: value };
     }
 
-    cache.set(cacheKey, latestSensor);
-    return res.json(latestSensor);
+    const log = await FlockLog.findOneAndUpdate(
+      { flockId: flock._id, day },
+      update,
+      { upsert: true, returnDocument: "after" }
+    );
+    return res.status(201).json({ success: true, log });
   } catch (err) {
-    console.error("Error fetching latest sensor:", err);
-    return res.status(500).json({ error: "Server error" });
+    return sendRegistryError(res, err, "POST flock log");
   }
 });
 
-// 3️⃣ GET /api/sensors/history
-app.get("/api/sensors/history", async (req, res) => {
-  try {
-    const { limit = 24, houseId = "house-1" } = req.query;
-    const parsedLimit = Math.min(parseInt(limit), 100);
+// PUT /api/flocks/:id/logs/:day - overwrite a day's record (corrections)
+app.put(
+  "/api/flocks/:id/logs/:day",
+  requireRole("operator"),
+  async (req, res) => {
+    try {
+      const flock = await findFlockParam(req, res);
+      if (!flock) return undefined;
 
-    const cacheKey = `sensor_history_${houseId}_${parsedLimit}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return res.json(cached);
+      const { day } = req.params;
+      const dayError = flockLogDayError(flock, day);
+      if (dayError) return res.status(400).json({ error: dayError });
 
-    const history = await SensorData.find({ houseId })
-      .sort({ createdAt: -1 })
-      .limit(parsedLimit)
-      .select("temperature humidity ammonia methane light createdAt -_id")
-      .lean();
+      const { values, error } = parseFlockLog(req.body);
+      if (error) return res.status(400).json({ error });
+
+      const log = await FlockLog.findOneAndUpdate(
+        { flockId: flock._id, day },
+        {
+          $set: {
+            mortality: 0,
+            culls: 0,
+            feedKg: 0,
+            waterL: 0,
+            avgWeightG: null,
+            note: "",
+            ...values,
+          },
+          $setOnInsert: { houseId: flock.houseId },
+        },
+        { upsert: true, returnDocument: "after" }
+      );
+      return res.json({ success: true, log });
+    } catch (err) {
+      return sendRegistryError(res, err, "PUT flock log");
+    }
+  }
+);
+
+// Environment, alert and energy figures over a flock's cycle
+async function flockEnvironment(flock) {
+  const cycle = flockWindow(flock);
+  const match = {
+    houseId: flock.houseId,
+    createdAt: createdAtFilter(cycle),
+  };
+
+  const group = { _id: null, samples: { $sum: 1 } };
+  for (const metric of FLOCK_ENV_METRICS) {
+    group[`${metric}Avg`] = { $avg: goodSampleExpr(metric) };
+    group[`${metric}Max`] = { $max: goodSampleExpr(metric) };
+  }
+
+  const [[env], alertRows, [energy]] = await Promise.all([
+    SensorData.aggregate([{ $match: match }, { $group: group }]),
+    Alert.aggregate([
+      { $match: match },
+      { $group: { _id: "$type", count: { $sum: 1 } } },
+    ]),
+    RuntimeDaily.aggregate([
+      {
+        $match: {
+          houseId: flock.houseId,
+          day: {
+            $gte: localClock(cycle.from).dateKey,
+            $lte: localClock(cycle.to).dateKey,
+          },
+        },
+      },
+      { $group: { _id: null, energyWh: { $sum: "$energyWh" } } },
+    ]),
+  ]);
+
+  const round = (value) => (value == null ? null : Number(value.toFixed(2)));
+  const environment = { samples: env ? env.samples : 0 };
+  for (const metric of FLOCK_ENV_METRICS) {
+    environment[metric] = {
+      avg: round(env && env[`${metric}Avg`]),
+      max: round(env && env[`${metric}Max`]),
+    };
+  }
+
+  return {
+    environment,
+    alerts: Object.fromEntries(alertRows.map((row) => [row._id, row.count])),
+    kWh: energy ? Number((energy.energyWh / 1000).toFixed(3)) : 0,
+  };
+}
+
+// GET /api/reports/flocks - flock cycles side by side: performance next to
+// the environment they grew in (?houseId=&status=&limit=)
+app.get("/api/reports/flocks", requireRole("viewer"), async (req, res) => {
+  try {
+    const { houseId, status, limit = 10 } = req.query;
+    const filter = {};
+    if (houseId) {
+      const house = await findHouse(String(houseId));
+      if (!house) {
+        return res.status(404).json({ error: `Unknown house: ${houseId}` });
+      }
+      filter.houseId = house.houseId;
+    }
+    if (status) filter.status = String(status);
 
-    const reversed = history.reverse();
-    cache.set(cacheKey, reversed);
+    const flocks = await Flock.find(filter)
+      .sort({ placedAt: -1 })
+      .limit(Math.min(Number(limit) || 10, 50))
+      .lean();
+    const logs = await flockLogs(flocks.map((flock) => flock._id));
 
-    return res.json(reversed);
+    const report = [];
+    for (const flock of flocks) {
+      report.push({
+        ...withStats(flock, logs.get(String(flock._id))),
+        ...(await flockEnvironment(flock)),
+      });
+    }
+    return res.json({ success: true, flocks: report });
   } catch (err) {
-    console.error("Error fetching sensor history:", err);
+    console.error("Error fetching flock report:", err);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-// 4️⃣ GET /api/control/state - ESP32 & Frontend get current control state
-app.get("/api/control/state", async (req, res) => {
+// ===== THRESHOLD PROFILE API =====
+const PROFILE_FIELDS = ["name", "description", "interpolate", "stages"];
+
+// GET /api/threshold-profiles
+app.get("/api/threshold-profiles", requireRole("viewer"), async (req, res) => {
   try {
-    const control = await getControlStateForRead();
-    return res.json(control);
+    const profiles = await ThresholdProfile.find({})
+      .sort({ profileId: 1 })
+      .lean();
+    return res.json({ success: true, defaults: DEFAULT_THRESHOLDS, profiles });
   } catch (err) {
-    console.error("Error fetching control state:", err);
-    return res.status(500).json({ error: "Server error" });
+    return sendRegistryError(res, err, "GET /api/threshold-profiles");
   }
 });
 
-// 5️⃣ POST /api/control - Dashboard sends TWO-WAY control commands
-app.post("/api/control", async (req, res) => {
+// POST /api/threshold-profiles - create a profile (stages keyed by fromDay)
+app.post("/api/threshold-profiles", requireRole("admin"), async (req, res) => {
   try {
-    const { device, mode, timerDuration } = req.body;
+    const { profileId } = req.body;
+    if (!profileId) {
+      return res
+        .status(400)
+        .json({ error: "Missing required field: profileId" });
+    }
 
-    let targetDevices = [];
+    const profile = await ThresholdProfile.create({
+      profileId,
+      ...pickFields(req.body, PROFILE_FIELDS),
+    });
+    return res.status(201).json({ success: true, profile });
+  } catch (err) {
+    return sendRegistryError(res, err, "POST /api/threshold-profiles");
+  }
+});
 
-    if (device === "fan") {
-      targetDevices = ["fan_positive", "fan_negative"];
-    } else if (
-      device === "light" ||
-      device === "fan_positive" ||
-      device === "fan_negative" ||
-      device === "pressure_washer"
-    ) {
-      targetDevices = [device];
-    } else {
-      return res.status(400).json({
-        error:
-          'Invalid device. Must be one of: "light", "fan", "fan_positive", "fan_negative", "pressure_washer"',
-      });
+// GET /api/threshold-profiles/:profileId - profile plus houses using it
+app.get(
+  "/api/threshold-profiles/:profileId",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      const { profileId } = req.params;
+      const profile = await ThresholdProfile.findOne({ profileId }).lean();
+      if (!profile) return res.status(404).json({ error: "Profile not found" });
+
+      const houses = await House.find({ thresholdProfileId: profileId })
+        .select("houseId name flockStartDate -_id")
+        .lean();
+      return res.json({ success: true, profile, houses });
+    } catch (err) {
+      return sendRegistryError(res, err, "GET /api/threshold-profiles/:id");
     }
+  }
+);
 
-    const validModes = ["AUTO", "FORCE_ON", "FORCE_OFF"];
-    if (!validModes.includes(mode)) {
-      return res.status(400).json({
-        error: `Invalid mode. Must be one of: ${validModes.join(", ")}`,
+// PUT /api/threshold-profiles/:profileId
+app.put(
+  "/api/threshold-profiles/:profileId",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const profile = await ThresholdProfile.findOne({
+        profileId: req.params.profileId,
       });
+      if (!profile) return res.status(404).json({ error: "Profile not found" });
+
+      profile.set(pickFields(req.body, PROFILE_FIELDS));
+      await profile.save();
+      cache.del(`threshold_profile_${profile.profileId}`);
+
+      return res.json({ success: true, profile });
+    } catch (err) {
+      return sendRegistryError(res, err, "PUT /api/threshold-profiles/:id");
     }
+  }
+);
 
-    if (targetDevices.includes("pressure_washer") && mode === "AUTO") {
-      return res.status(400).json({
-        error:
-          "Pressure washer does not support AUTO mode. Use FORCE_ON or FORCE_OFF.",
+// DELETE /api/threshold-profiles/:profileId - refused while assigned
+app.delete(
+  "/api/threshold-profiles/:profileId",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { profileId } = req.params;
+      const inUse = await House.countDocuments({
+        thresholdProfileId: profileId,
+      });
+      if (inUse > 0) {
+        return res.status(409).json({
+          error: `Profile is assigned to ${inUse} house(s); unassign it first`,
+        });
+      }
+
+      const profile = await ThresholdProfile.findOneAndDelete({ profileId });
+      if (!profile) return res.status(404).json({ error: "Profile not found" });
+
+      cache.del(`threshold_profile_${profileId}`);
+      return res.json({
+        success: true,
+        message: `Profile ${profileId} deleted`,
       });
+    } catch (err) {
+      return sendRegistryError(res, err, "DELETE /api/threshold-profiles/:id");
     }
+  }
+);
 
-    const control = await getControlState();
+// ===== DEVICE API KEY ADMIN =====
+async function assignDeviceKey(device) {
+  if (device.apiKeyHash) cache.del(`device_key_${device.apiKeyHash}`);
 
-    for (const dev of targetDevices) {
-      control[dev].mode = mode;
+  const key = generateDeviceKey();
+  device.apiKeyHash = hashSecret(key);
+  device.apiKeyPrefix = key.slice(0, 11);
+  device.apiKeyIssuedAt = new Date();
+  device.apiKeyRevokedAt = null;
+  await device.save();
 
-      if (mode === "FORCE_ON") {
-        control[dev].state = "ON";
-      } else if (mode === "FORCE_OFF") {
-        control[dev].state = "OFF";
-      }
-    }
+  return key;
+}
 
-    if (targetDevices.includes("pressure_washer")) {
-      if (mode === "FORCE_ON") {
-        const duration = parseInt(timerDuration, 10) || 300;
-        const now = new Date();
-        const expires = new Date(now.getTime() + duration * 1000);
+function hasActiveKey(device) {
+  return Boolean(device.apiKeyHash) && !device.apiKeyRevokedAt;
+}
 
-        control.pressure_washer.timerDuration = duration;
-        control.pressure_washer.timerStartedAt = now;
-        control.pressure_washer.timerExpiresAt = expires;
+// POST /admin/devices/:deviceId/key - issue the first key (shown once)
+app.post("/admin/devices/:deviceId/key", async (req, res) => {
+  try {
+    const device = await Device.findOne({
+      deviceId: req.params.deviceId,
+    }).select("+apiKeyHash");
+    if (!device) return res.status(404).json({ error: "Device not found" });
 
-        console.log(
-          `🚿 Pressure washer ON — auto-OFF in ${duration}s at ${expires.toISOString()}`
-        );
-      } else if (mode === "FORCE_OFF") {
-        control.pressure_washer.timerDuration = 0;
-        control.pressure_washer.timerStartedAt = null;
-        control.pressure_washer.timerExpiresAt = null;
-        console.log("🚿 Pressure washer manually turned OFF");
-      }
+    if (hasActiveKey(device)) {
+      return res
+        .status(409)
+        .json({ error: "Device already has an active key; rotate it instead" });
     }
 
-    control.updatedAt = new Date();
-    await control.save();
-
-    cache.del("control_state");
-    cache.del("control_state_read");
+    const apiKey = await assignDeviceKey(device);
+    console.log(`🔑 Issued key ${device.apiKeyPrefix}… for ${device.deviceId}`);
 
-    return res.json({
+    return res.status(201).json({
       success: true,
-      message: `${device} set to ${mode}`,
-      controlState: control,
+      deviceId: device.deviceId,
+      apiKey,
+      apiKeyPrefix: device.apiKeyPrefix,
     });
   } catch (err) {
-    console.error("Error updating control state:", err);
+    console.error("Issue device key error:", err);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-// 6️⃣ GET /api/alerts - Dashboard early warning alerts
-app.get("/api/alerts", async (req, res) => {
+// POST /admin/devices/:deviceId/key/rotate - replace the active key
+app.post("/admin/devices/:deviceId/key/rotate", async (req, res) => {
   try {
-    const { limit = 20 } = req.query;
+    const device = await Device.findOne({
+      deviceId: req.params.deviceId,
+    }).select("+apiKeyHash");
+    if (!device) return res.status(404).json({ error: "Device not found" });
 
-    const alerts = await Alert.find({})
-      .sort({ createdAt: -1 })
-      .limit(Number(limit))
-      .lean();
+    if (!hasActiveKey(device)) {
+      return res
+        .status(409)
+        .json({ error: "Device has no active key; issue one instead" });
+    }
 
-    return res.json({ success: true, alerts });
+    const apiKey = await assignDeviceKey(device);
+    console.log(`🔑 Rotated key for ${device.deviceId}`);
+
+    return res.json({
+      success: true,
+      deviceId: device.deviceId,
+      apiKey,
+      apiKeyPrefix: device.apiKeyPrefix,
+    });
   } catch (err) {
-    console.error("Error fetching alerts:", err);
+    console.error("Rotate device key error:", err);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-// 7️⃣ POST /api/light-status — Light MCU sends ONLY light/washer status
-app.post("/api/light-status", async (req, res) => {
+// DELETE /admin/devices/:deviceId/key - revoke the active key
+app.delete("/admin/devices/:deviceId/key", async (req, res) => {
   try {
-    const { light, lightStatus, pressureWasherStatus } = req.body;
+    const device = await Device.findOne({
+      deviceId: req.params.deviceId,
+    }).select("+apiKeyHash");
+    if (!device) return res.status(404).json({ error: "Device not found" });
 
-    const latestSensor = await SensorData.findOne().sort({ createdAt: -1 });
+    if (!hasActiveKey(device)) {
+      return res.status(409).json({ error: "Device has no active key" });
+    }
 
-    if (latestSensor) {
-      if (light != null && light >= 0) latestSensor.light = light;
-      if (lightStatus) latestSensor.lightStatus = lightStatus;
-      if (pressureWasherStatus)
-        latestSensor.pressureWasherStatus = pressureWasherStatus;
-      await latestSensor.save();
-    } else {
-      await SensorData.create({
-        houseId: "house-1",
-        temperature: 0,
-        humidity: 0,
-        ammonia: 0,
-        methane: 0,
-        light: light || 0,
-        lightStatus: lightStatus || "OFF",
-        pressureWasherStatus: pressureWasherStatus || "OFF",
-        fanIntakeRpm: 0,
-        fanExhaustRpm: 0,
-        fanIntakeDuty: 0,
-        fanExhaustDuty: 0,
-        mode: "AUTO",
-      });
-    }
-
-    cache.del("latest_sensor");
-    cache.del("sensor_history");
+    cache.del(`device_key_${device.apiKeyHash}`);
+    device.apiKeyRevokedAt = new Date();
+    await device.save();
+    console.log(`🔑 Revoked key for ${device.deviceId}`);
 
     return res.json({
       success: true,
-      message: "Light/washer status updated from Light MCU",
+      message: `Key revoked for ${device.deviceId}`,
     });
   } catch (err) {
-    console.error("Error in /api/light-status:", err);
+    console.error("Revoke device key error:", err);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-// ===== PRESSURE WASHER SAFETY TIMER (background) =====
+// ===== NOTIFICATION API =====
+
+// GET /api/houses/:houseId/notifications - recipients, escalation, quiet hours
+app.get(
+  "/api/houses/:houseId/notifications",
+  requireRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const policy = await NotificationPolicy.findOne({
+        houseId: req.houseId,
+      })
+        .select("-recipients.secret")
+        .lean();
+      return res.json({ success: true, houseId: req.houseId, policy });
+    } catch (err) {
+      return sendRegistryError(res, err, "GET notification policy");
+    }
+  }
+);
+
+// Secrets never leave the server, so a policy read with GET and saved back
+// has none: recipients that omit secret keep the stored one (matched on
+// channel + target); only an explicit secret: null clears it
+async function keepRecipientSecrets(houseId, recipients) {
+  if (!Array.isArray(recipients)) return recipients;
+  const stored = await NotificationPolicy.findOne({ houseId })
+    .select("recipients")
+    .lean();
+  const secrets = new Map(
+    ((stored && stored.recipients) || []).map((r) => [
+      `${r.channel}|${r.target}`,
+      r.secret,
+    ])
+  );
+
+  return recipients.map((r) =>
+    r && typeof r === "object" && !("secret" in r)
+      ? { ...r, secret: secrets.get(`${r.channel}|${r.target}`) ?? null }
+      : r
+  );
+}
+
+// PUT /api/houses/:houseId/notifications - replace the house policy
+app.put(
+  "/api/houses/:houseId/notifications",
+  requireRole("admin"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const update = pickFields(req.body, [
+        "recipients",
+        "escalateAfterMinutes",
+        "quietHours",
+      ]);
+      if (update.recipients !== undefined) {
+        update.recipients = await keepRecipientSecrets(
+          req.houseId,
+          update.recipients
+        );
+      }
+
+      const policy = await NotificationPolicy.findOneAndUpdate(
+        { houseId: req.houseId },
+        { $set: update },
+        {
+          upsert: true,
+          returnDocument: "after",
+          runValidators: true,
+          setDefaultsOnInsert: true,
+          // Same redaction as GET: webhook secrets are write-only
+          projection: { "recipients.secret": 0 },
+        }
+      );
+      cache.del(`notify_policy_${req.houseId}`);
+
+      return res.json({ success: true, policy });
+    } catch (err) {
+      return sendRegistryError(res, err, "PUT notification policy");
+    }
+  }
+);
+
+// POST /api/houses/:houseId/notifications/test - message every recipient
+app.post(
+  "/api/houses/:houseId/notifications/test",
+  requireRole("admin"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const policy = await getNotificationPolicy(req.houseId);
+      const recipients = policy
+        ? policy.recipients.filter((r) => r.active)
+        : [];
+      if (recipients.length === 0) {
+        return res.status(400).json({ error: "No active recipients" });
+      }
+
+      const subject = `[${req.houseId}] Test notification`;
+      const deliveries = await NotificationDelivery.insertMany(
+        recipients.map((r) => ({
+          houseId: req.houseId,
+          channel: r.channel,
+          target: r.target,
+          level: r.level,
+          subject,
+          text: `${subject} from ${req.user.username}`,
+          payload: { event: "test" },
+        }))
+      );
+      processDeliveries();
+
+      return res.status(202).json({
+        success: true,
+        queued: deliveries.length,
+        deliveryIds: deliveries.map((d) => d._id),
+      });
+    } catch (err) {
+      return sendRegistryError(res, err, "POST notification test");
+    }
+  }
+);
+
+// GET /api/notifications/deliveries - delivery log (houseId/status/alertId)
+app.get(
+  "/api/notifications/deliveries",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      const { houseId, status, alertId, limit = 50 } = req.query;
+      const filter = {};
+      if (houseId) {
+        const house = await findHouse(String(houseId));
+        if (!house) {
+          return res.status(404).json({ error: `Unknown house: ${houseId}` });
+        }
+        filter.houseId = house.houseId;
+      }
+      if (status) filter.status = { $in: String(status).split(",") };
+      if (alertId) {
+        if (!mongoose.isValidObjectId(alertId)) {
+          return res.status(400).json({ error: "Invalid alertId" });
+        }
+        filter.alertId = alertId;
+      }
+
+      const deliveries = await NotificationDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Number(limit) || 50, 500))
+        .lean();
+      return res.json({ success: true, deliveries });
+    } catch (err) {
+      console.error("Error fetching deliveries:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ===== NOTIFICATION WORKER (background: retries, deferrals, escalation) =====
+setInterval(async () => {
+  try {
+    // Deliveries claimed by a process that died mid-send go back in the queue
+    await NotificationDelivery.updateMany(
+      {
+        status: "sending",
+        updatedAt: { $lte: new Date(Date.now() - 5 * 60000) },
+      },
+      { $set: { status: "pending" } }
+    );
+    await escalateUnacknowledged();
+  } catch (err) {
+    console.error("⚠️ Alert escalation error:", err.message);
+  }
+  await processDeliveries();
+}, 15000);
+
+// ===== SCHEDULER LOOP (background) =====
+setInterval(async () => {
+  try {
+    await runSchedules();
+  } catch (err) {
+    console.error("⚠️ Scheduler error:", err.message);
+  }
+}, 30000);
+
+// ===== TIMED OVERRIDE SWEEP (background) =====
 setInterval(async () => {
   try {
-    const control = await ControlState.findOne();
-    if (!control) return;
+    await sweepScheduledJobs();
+  } catch (err) {
+    console.error("⚠️ Scheduled job sweep error:", err.message);
+  }
+}, 10000);
+
+// ===== DEVICE WATCHDOG (background) =====
+setInterval(async () => {
+  try {
+    await checkDeviceHeartbeats();
+  } catch (err) {
+    console.error("⚠️ Device watchdog error:", err.message);
+  }
+}, 30000);
+
+// ===== RUNTIME ACCOUNTING TICK (background) =====
+setInterval(async () => {
+  try {
+    await tickRuntime();
+  } catch (err) {
+    console.error("⚠️ Runtime accounting error:", err.message);
+  }
+}, 5 * 60000);
+
+// ===== FORECAST CHECK (background) =====
+setInterval(async () => {
+  try {
+    await checkForecasts();
+  } catch (err) {
+    console.error("⚠️ Forecast check error:", err.message);
+  }
+}, FORECAST_STEP_MINUTES * 60000);
+
+// ===== CONTROL HISTORY & DEVICE SHADOW API =====
+
+// GET /api/houses/:houseId/control-history - audited control changes,
+// newest first (?device=&source=&actor=&from=&to=&limit=)
+app.get(
+  "/api/houses/:houseId/control-history",
+  requireRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const { device, source, actor, limit = 100 } = req.query;
+      const filter = { houseId: req.houseId };
+
+      if (device) {
+        const devices =
+          device === "fan"
+            ? ["fan_positive", "fan_negative"]
+            : String(device).split(",");
+        const unknown = devices.filter((dev) => !ACTUATORS.includes(dev));
+        if (unknown.length) {
+          return res
+            .status(400)
+            .json({ error: `Unknown device: ${unknown.join(", ")}` });
+        }
+        filter.device = { $in: devices };
+      }
+      if (source) filter.source = { $in: String(source).split(",") };
+      if (actor) filter.actor = String(actor);
+
+      if (req.query.from || req.query.to) {
+        const range = parseTimeRange(req.query, null);
+        if (range.error) return res.status(400).json({ error: range.error });
+        filter.createdAt = createdAtFilter(range);
+      }
+
+      const history = await ControlAudit.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(Math.min(Number(limit) || 100, 500))
+        .lean();
+      return res.json({ success: true, houseId: req.houseId, history });
+    } catch (err) {
+      console.error("Error fetching control history:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /api/houses/:houseId/shadow - desired vs reported state per device,
+// with the control version each MCU has acknowledged
+app.get(
+  "/api/houses/:houseId/shadow",
+  requireRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const { houseId } = req;
+      const control =
+        (await getControlStateForRead(houseId)) || defaultControlDoc(houseId);
+      const shadow = await DeviceShadow.findOne({ houseId }).lean();
+
+      return res.json({
+        success: true,
+        houseId,
+        driftTimeoutSeconds: SHADOW_DRIFT_SECONDS,
+        ...describeShadow(
+          control,
+          shadow,
+          await serverOwnedDevices(houseId, control)
+        ),
+      });
+    } catch (err) {
+      console.error("Error fetching device shadow:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ===== FORECAST API =====
+
+// GET /api/houses/:houseId/forecast - temperature, humidity and ammonia
+// projected ?horizon=30..120 minutes ahead (default 60) with 95% bands and
+// the first forecast critical crossing
+app.get(
+  "/api/houses/:houseId/forecast",
+  requireRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const horizon = Number(req.query.horizon ?? 60);
+      if (
+        !Number.isFinite(horizon) ||
+        horizon < FORECAST_MIN_HORIZON ||
+        horizon > FORECAST_MAX_HORIZON
+      ) {
+        return res.status(400).json({
+          error: `horizon must be ${FORECAST_MIN_HORIZON}-${FORECAST_MAX_HORIZON} minutes`,
+        });
+      }
+
+      const cacheKey = `forecast_${req.houseId}_${horizon}`;
+      const cached = cache.get(cacheKey);
+      if (cached) return res.json(cached);
+
+      const forecast = await forecastHouse(req.houseId, horizon);
+      const result = { success: true, ...forecast };
+      cache.set(cacheKey, result);
+      return res.json(result);
+    } catch (err) {
+      console.error("Error building forecast:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ===== FAN HEALTH API =====
+const FAN_CURVE_DEFAULT_SPAN_MS = 7 * 24 * 60 * 60 * 1000;
+
+function fanParam(req, res) {
+  const { fan } = req.params;
+  if (!FAN_HEALTH_FANS[fan]) {
+    res.status(400).json({
+      error: `Invalid fan. Must be one of: ${Object.keys(FAN_HEALTH_FANS).join(", ")}`,
+    });
+    return null;
+  }
+  return fan;
+}
+
+// Average RPM per duty band for one fan over a window (running samples)
+function fanBandPipeline(houseId, spec, range) {
+  return [
+    {
+      $match: {
+        houseId,
+        createdAt: createdAtFilter(range),
+        [spec.duty]: { $gte: FAN_MIN_DUTY },
+        [spec.rpm]: { $gt: 0 },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          $min: [
+            {
+              $multiply: [
+                { $floor: { $divide: [`$${spec.duty}`, FAN_BAND_WIDTH] } },
+                FAN_BAND_WIDTH,
+              ],
+            },
+            100,
+          ],
+        },
+        avg: { $avg: `$${spec.rpm}` },
+        min: { $min: `$${spec.rpm}` },
+        max: { $max: `$${spec.rpm}` },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ];
+}
+
+// GET /api/houses/:houseId/fan-health - health score, trend and service
+// outlook per fan
+app.get(
+  "/api/houses/:houseId/fan-health",
+  requireRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const baselines = await FanBaseline.find({ houseId: req.houseId }).lean();
+      const fans = Object.entries(FAN_HEALTH_FANS).map(([fan, spec]) => {
+        const baseline = baselines.find((b) => b.fan === fan) || {
+          bands: [],
+          daily: [],
+          baselineSince: null,
+        };
+        return {
+          fan,
+          label: spec.label,
+          ...fanHealthSummary(baseline),
+          baselineSince: baseline.baselineSince,
+          daily: baseline.daily.map((d) => ({
+            day: d.day,
+            health: Math.round((d.ratioSum / d.samples) * 1000) / 10,
+            samples: d.samples,
+          })),
+        };
+      });
+
+      return res.json({
+        success: true,
+        houseId: req.houseId,
+        thresholds: {
+          warn: FAN_HEALTH_WARN,
+          critical: FAN_HEALTH_CRITICAL,
+          serviceHorizonDays: FAN_SERVICE_HORIZON_DAYS,
+        },
+        fans,
+      });
+    } catch (err) {
+      console.error("Error fetching fan health:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /api/houses/:houseId/fan-health/:fan/curve - expected vs observed
+// RPM per duty band (?from=&to=, default last 7 days)
+app.get(
+  "/api/houses/:houseId/fan-health/:fan/curve",
+  requireRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const fan = fanParam(req, res);
+      if (!fan) return;
+      const spec = FAN_HEALTH_FANS[fan];
+
+      const range = parseTimeRange(req.query, FAN_CURVE_DEFAULT_SPAN_MS);
+      if (range.error) return res.status(400).json({ error: range.error });
+
+      const [baseline, observed] = await Promise.all([
+        FanBaseline.findOne({ houseId: req.houseId, fan }).lean(),
+        SensorData.aggregate(fanBandPipeline(req.houseId, spec, range)),
+      ]);
+      const bands = (baseline && baseline.bands) || [];
+
+      const duties = [
+        ...new Set([
+          ...bands.map((b) => b.duty),
+          ...observed.map((o) => o._id),
+        ]),
+      ].sort((a, b) => a - b);
+      const points = duties.map((duty) => {
+        const band = bands.find((b) => b.duty === duty);
+        const seen = observed.find((o) => o._id === duty);
+        const expected = baseline
+          ? expectedFanRpm(baseline, duty + FAN_BAND_WIDTH / 2)
+          : null;
+        return {
+          duty,
+          expectedRpm: expected == null ? null : Math.round(expected),
+          learned: Boolean(band && band.samples >= FAN_BASELINE_SAMPLES),
+          baselineSamples: band ? band.samples : 0,
+          observed: seen
+            ? {
+                avg: Math.round(seen.avg),
+                min: seen.min,
+                max: seen.max,
+                count: seen.count,
+              }
+            : null,
+          ratio:
+            seen && expected
+              ? Math.round((seen.avg / expected) * 1000) / 1000
+              : null,
+        };
+      });
+
+      return res.json({
+        success: true,
+        houseId: req.houseId,
+        fan,
+        from: range.from,
+        to: range.to,
+        bandWidth: FAN_BAND_WIDTH,
+        points,
+      });
+    } catch (err) {
+      console.error("Error fetching fan curve:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/houses/:houseId/fan-health/:fan/rebaseline - after servicing a
+// fan, start its baseline over. With ?from=&to= the bands are learned from
+// that window of history straight away.
+app.post(
+  "/api/houses/:houseId/fan-health/:fan/rebaseline",
+  requireRole("operator"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const fan = fanParam(req, res);
+      if (!fan) return;
+      const spec = FAN_HEALTH_FANS[fan];
+
+      let bands = [];
+      if (req.query.from || req.query.to) {
+        const range = parseTimeRange(req.query, null);
+        if (range.error) return res.status(400).json({ error: range.error });
+        const rows = await SensorData.aggregate(
+          fanBandPipeline(req.houseId, spec, range)
+        );
+        bands = rows.map((row) => ({
+          duty: row._id,
+          expectedRpm: row.avg,
+          samples: Math.min(row.count, FAN_BASELINE_SAMPLES),
+        }));
+      }
 
-    const pw = control.pressure_washer;
-    if (pw.state === "ON" && pw.timerExpiresAt) {
       const now = new Date();
-      if (now >= pw.timerExpiresAt) {
-        pw.state = "OFF";
-        pw.mode = "FORCE_OFF";
-        pw.timerDuration = 0;
-        pw.timerStartedAt = null;
-        pw.timerExpiresAt = null;
+      const baseline = await FanBaseline.findOneAndUpdate(
+        { houseId: req.houseId, fan },
+        {
+          $set: {
+            bands,
+            daily: [],
+            baselineSince: now,
+            lastEvaluatedAt: null,
+          },
+          $inc: { revision: 1 },
+        },
+        { upsert: true, returnDocument: "after", setDefaultsOnInsert: true }
+      );
+
+      const alert = await autoResolveIncident(
+        req.houseId,
+        `fan_maintenance_${fan}`,
+        now,
+        `Re-baselined by ${req.user.username}`
+      );
+      if (alert) {
+        publishEvent(req.houseId, "alert", {
+          status: "resolved",
+          ...alert.toObject(),
+        });
+      }
+
+      console.log(
+        `🌀 [${req.houseId}] ${spec.label} re-baselined by ${req.user.username} (${bands.length} band(s) from history)`
+      );
+      return res.json({ success: true, baseline });
+    } catch (err) {
+      console.error("Error re-baselining fan:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
 
-        control.updatedAt = new Date();
-        await control.save();
+// ===== ENERGY REPORT API =====
 
-        cache.del("control_state");
-        cache.del("control_state_read");
-        console.log("🚿⏱️ Pressure washer AUTO-OFF: timer expired!");
+// GET /api/reports/energy - runtime hours and estimated kWh per house,
+// device and local day (?houseId=&device=&from=YYYY-MM-DD&to=YYYY-MM-DD,
+// default the last 7 days; ?flockId= for one cycle)
+app.get(
+  "/api/reports/energy",
+  requireRole("viewer"),
+  resolveFlock,
+  async (req, res) => {
+    try {
+      const { device } = req.query;
+      const houseId = req.flock ? req.flock.houseId : req.query.houseId;
+      const cycle = req.flock && flockWindow(req.flock);
+      const to =
+        req.query.to || localClock(cycle ? cycle.to : new Date()).dateKey;
+      const from =
+        req.query.from ||
+        localClock(
+          cycle ? cycle.from : new Date(Date.now() - 6 * 24 * 3600 * 1000)
+        ).dateKey;
+      if (!DAY_KEY.test(from) || !DAY_KEY.test(to)) {
+        return res.status(400).json({ error: "from/to must be YYYY-MM-DD" });
       }
+      if (from > to) {
+        return res.status(400).json({ error: "from must not be after to" });
+      }
+
+      const filter = { day: { $gte: from, $lte: to } };
+      if (houseId) {
+        const house = await findHouse(String(houseId));
+        if (!house) {
+          return res.status(404).json({ error: `Unknown house: ${houseId}` });
+        }
+        filter.houseId = house.houseId;
+      }
+      if (device) {
+        if (!ACTUATORS.includes(device)) {
+          return res.status(400).json({ error: `Unknown device: ${device}` });
+        }
+        filter.device = device;
+      }
+
+      const rows = await RuntimeDaily.find(filter)
+        .sort({ houseId: 1, device: 1, day: 1 })
+        .lean();
+
+      const round = (value, places) => Number(value.toFixed(places));
+      const houses = new Map();
+      for (const row of rows) {
+        if (!houses.has(row.houseId)) {
+          houses.set(row.houseId, {
+            houseId: row.houseId,
+            ratedWatts: await ratedWattsFor(row.houseId),
+            devices: new Map(),
+            onSeconds: 0,
+            energyWh: 0,
+          });
+        }
+        const house = houses.get(row.houseId);
+        if (!house.devices.has(row.device)) {
+          house.devices.set(row.device, {
+            device: row.device,
+            ratedWatts: house.ratedWatts[row.device],
+            days: [],
+            onSeconds: 0,
+            energyWh: 0,
+          });
+        }
+        const entry = house.devices.get(row.device);
+        entry.days.push({
+          day: row.day,
+          runtimeHours: round(row.onSeconds / 3600, 2),
+          kWh: round(row.energyWh / 1000, 3),
+        });
+        entry.onSeconds += row.onSeconds;
+        entry.energyWh += row.energyWh;
+        house.onSeconds += row.onSeconds;
+        house.energyWh += row.energyWh;
+      }
+
+      const report = [...houses.values()].map((house) => ({
+        houseId: house.houseId,
+        runtimeHours: round(house.onSeconds / 3600, 2),
+        kWh: round(house.energyWh / 1000, 3),
+        devices: [...house.devices.values()].map((entry) => ({
+          device: entry.device,
+          ratedWatts: entry.ratedWatts,
+          runtimeHours: round(entry.onSeconds / 3600, 2),
+          kWh: round(entry.energyWh / 1000, 3),
+          days: entry.days,
+        })),
+      }));
+
+      return res.json({
+        success: true,
+        from,
+        to,
+        timezone: REPORT_TIMEZONE,
+        houses: report,
+        totalKWh: round(
+          report.reduce((sum, house) => sum + house.kWh, 0),
+          3
+        ),
+      });
+    } catch (err) {
+      console.error("Error fetching energy report:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ===== TIMED OVERRIDE API =====
+
+// GET /api/houses/:houseId/overrides - pending reverts (?status= to change)
+app.get(
+  "/api/houses/:houseId/overrides",
+  requireRole("viewer"),
+  resolveHouse,
+  async (req, res) => {
+    try {
+      const { status = "pending", device } = req.query;
+      const filter = {
+        houseId: req.houseId,
+        status: { $in: String(status).split(",") },
+      };
+      if (device) filter.device = String(device);
+
+      const overrides = await ScheduledJob.find(filter)
+        .sort({ runAt: 1 })
+        .limit(200)
+        .lean();
+      return res.json({ success: true, overrides });
+    } catch (err) {
+      console.error("Error listing overrides:", err);
+      return res.status(500).json({ error: "Server error" });
     }
+  }
+);
+
+// DELETE /api/overrides/:id - cancel a pending revert. ?revertNow=true
+// applies the revert immediately instead of dropping it.
+app.delete("/api/overrides/:id", requireRole("operator"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid override id" });
+    }
+
+    const revertNow = req.query.revertNow === "true";
+    const pending = await ScheduledJob.findOne({
+      _id: req.params.id,
+      status: "pending",
+    }).lean();
+    if (!pending) {
+      return res
+        .status(404)
+        .json({ error: "No pending override with that id" });
+    }
+    if (pending.reason === "washer-timer" && !revertNow) {
+      return res.status(409).json({
+        error:
+          "The washer safety timer cannot be dropped; use ?revertNow=true to turn it off now",
+      });
+    }
+
+    if (revertNow) {
+      disarmJob(pending._id);
+      await fireJob(String(pending._id));
+      const job = await ScheduledJob.findById(pending._id).lean();
+      return res.json({
+        success: true,
+        message: "Reverted now",
+        override: job,
+      });
+    }
+
+    const [cancelled] = await cancelPendingReverts(pending.houseId, [
+      pending.device,
+    ]);
+    return res.json({
+      success: true,
+      message: `Revert of ${pending.device} cancelled`,
+      override: cancelled || pending,
+    });
   } catch (err) {
-    console.error("⚠️ Pressure washer timer check error:", err.message);
+    console.error("Error cancelling override:", err);
+    return res.status(500).json({ error: "Server error" });
   }
-}, 10000);
+});
 
 // ===== TEMP: RESET CONTROL STATE (MIGRATION) =====
+// With a houseId only that house is reset; without one every house is wiped
+// and the default house is recreated.
 app.post("/admin/reset-control", async (req, res) => {
   try {
-    await ControlState.deleteMany({});
-
-    const control = await ControlState.create({
-      light: { mode: "AUTO", state: "OFF" },
-      fan_positive: { mode: "AUTO", state: "OFF" },
-      fan_negative: { mode: "AUTO", state: "OFF" },
-      pressure_washer: {
-        mode: "FORCE_OFF",
-        state: "OFF",
-        timerDuration: 0,
-        timerStartedAt: null,
-        timerExpiresAt: null,
-      },
-      fanIntake: "OFF",
-      fanExhaust: "OFF",
-      mode: "AUTO",
-    });
+    const { houseId } = req.body || {};
+
+    if (houseId && !(await findHouse(String(houseId)))) {
+      return res.status(404).json({ error: `Unknown house: ${houseId}` });
+    }
 
-    cache.del("control_state");
-    cache.del("control_state_read");
+    const previous = await ControlState.find(
+      houseId ? { houseId } : { houseId: { $exists: true } }
+    ).lean();
+
+    await clearShadowDrift(houseId || null);
+    if (houseId) {
+      await cancelPendingReverts(houseId);
+      await ControlState.deleteMany({ houseId });
+    } else {
+      const houses = await ControlState.distinct("houseId");
+      for (const hid of houses) await cancelPendingReverts(hid);
+      await ControlState.deleteMany({});
+      houses.forEach((hid) => invalidateControlCache(hid));
+    }
+
+    const targetHouse = houseId || DEFAULT_HOUSE_ID;
+    const control = await ControlState.create(defaultControlDoc(targetHouse));
+
+    for (const doc of previous) {
+      await recordControlAudit(
+        doc.houseId,
+        snapshotControl(doc),
+        snapshotControl(defaultControlDoc(doc.houseId)),
+        { source: "admin-reset", actor: req.user.username }
+      );
+    }
+
+    invalidateControlCache(targetHouse);
+    publishEvent(targetHouse, "control", {
+      reason: "admin-reset",
+      control: control.toObject(),
+    });
 
     return res.json({
       success: true,
-      message: "Control state reset",
+      message: houseId
+        ? `Control state reset for ${houseId}`
+        : "Control state reset for all houses",
       control,
     });
   } catch (err) {